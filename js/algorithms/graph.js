@@ -4,6 +4,7 @@
  */
 
 import { Queue, getNeighbors } from '../utils/helpers.js';
+import { StepLog } from '../utils/stepLog.js';
 
 /**
  * Breadth-First Search
@@ -11,30 +12,30 @@ import { Queue, getNeighbors } from '../utils/helpers.js';
  * @param {number} cols - Grid columns
  * @param {Object} start - Start position {row, col}
  * @param {Set} walls - Set of wall positions as "row,col"
- * @returns {Array} Array of animation steps
+ * @yields {StepLog} Animation steps, one step per yield
  */
-export function bfs(rows, cols, start, walls = new Set()) {
-    const steps = [];
+export function* bfs(rows, cols, start, walls = new Set()) {
     const visited = new Set();
+    const steps = new StepLog({ visited });
     const queue = new Queue();
     
     queue.enqueue(start);
-    visited.add(`${start.row},${start.col}`);
+    steps.add('visited', `${start.row},${start.col}`);
     
-    steps.push({
+    yield steps.push({
         type: 'init',
+        line: [4, 5],
         current: start,
-        visited: new Set(visited),
         description: `Starting BFS from (${start.row}, ${start.col}). Using queue for level-order traversal.`
     });
     
     while (!queue.isEmpty()) {
         const current = queue.dequeue();
         
-        steps.push({
+        yield steps.push({
             type: 'visit',
+            line: [8, 9],
             current: current,
-            visited: new Set(visited),
             description: `Visiting node (${current.row}, ${current.col}). Checking neighbors.`
         });
         
@@ -44,14 +45,14 @@ export function bfs(rows, cols, start, walls = new Set()) {
             const key = `${neighbor.row},${neighbor.col}`;
             
             if (!visited.has(key) && !walls.has(key)) {
-                visited.add(key);
+                steps.add('visited', key);
                 queue.enqueue(neighbor);
                 
-                steps.push({
+                yield steps.push({
                     type: 'discover',
+                    line: [13, 14],
                     current: current,
                     neighbor: neighbor,
-                    visited: new Set(visited),
                     queueSize: queue.size(),
                     description: `Discovered neighbor (${neighbor.row}, ${neighbor.col}). Added to queue.`
                 });
@@ -59,9 +60,8 @@ export function bfs(rows, cols, start, walls = new Set()) {
         }
     }
     
-    steps.push({
+    yield steps.push({
         type: 'complete',
-        visited: new Set(visited),
         description: `BFS complete! Visited ${visited.size} nodes in level order.`
     });
     
@@ -74,67 +74,80 @@ export function bfs(rows, cols, start, walls = new Set()) {
  * @param {number} cols - Grid columns
  * @param {Object} start - Start position {row, col}
  * @param {Set} walls - Set of wall positions as "row,col"
- * @returns {Array} Array of animation steps
+ * @yields {StepLog} Animation steps, one step per yield
  */
-export function dfs(rows, cols, start, walls = new Set()) {
-    const steps = [];
+export function* dfs(rows, cols, start, walls = new Set()) {
     const visited = new Set();
+    const steps = new StepLog({ visited });
     
-    steps.push({
+    yield steps.push({
         type: 'init',
+        line: 1,
         current: start,
-        visited: new Set(visited),
         description: `Starting DFS from (${start.row}, ${start.col}). Exploring depth-first.`
     });
     
-    function dfsHelper(node, depth = 0) {
+    // Explicit stack of { node, depth, neighbors, next } frames: a recursive
+    // helper would overflow the call stack on large open grids
+    const stack = [];
+    
+    function* enter(node, depth) {
         const key = `${node.row},${node.col}`;
         
         if (visited.has(key) || walls.has(key)) return;
         
-        visited.add(key);
+        steps.add('visited', key);
         
-        steps.push({
+        yield steps.push({
             type: 'visit',
+            line: [2, 3],
             current: node,
-            visited: new Set(visited),
             depth: depth,
             description: `Visiting node (${node.row}, ${node.col}) at depth ${depth}.`
         });
         
-        const neighbors = getNeighbors(node.row, node.col, rows, cols);
+        stack.push({ node, depth, neighbors: getNeighbors(node.row, node.col, rows, cols), next: 0 });
+    }
+    
+    yield* enter(start, 0);
+    
+    while (stack.length > 0) {
+        const frame = stack[stack.length - 1];
         
-        for (const neighbor of neighbors) {
-            const neighborKey = `${neighbor.row},${neighbor.col}`;
-            
-            if (!visited.has(neighborKey) && !walls.has(neighborKey)) {
-                steps.push({
-                    type: 'discover',
-                    current: node,
-                    neighbor: neighbor,
-                    visited: new Set(visited),
-                    depth: depth + 1,
-                    description: `Exploring neighbor (${neighbor.row}, ${neighbor.col}) recursively.`
-                });
-                
-                dfsHelper(neighbor, depth + 1);
-                
-                steps.push({
+        if (frame.next >= frame.neighbors.length) {
+            stack.pop();
+            if (stack.length > 0) {
+                const parent = stack[stack.length - 1].node;
+                yield steps.push({
                     type: 'backtrack',
-                    current: neighbor,
-                    parent: node,
-                    visited: new Set(visited),
-                    description: `Backtracking from (${neighbor.row}, ${neighbor.col}) to (${node.row}, ${node.col}).`
+                    line: 7,
+                    current: frame.node,
+                    parent: parent,
+                    description: `Backtracking from (${frame.node.row}, ${frame.node.col}) to (${parent.row}, ${parent.col}).`
                 });
             }
+            continue;
+        }
+        
+        const neighbor = frame.neighbors[frame.next++];
+        const neighborKey = `${neighbor.row},${neighbor.col}`;
+        
+        if (!visited.has(neighborKey) && !walls.has(neighborKey)) {
+            yield steps.push({
+                type: 'discover',
+                line: [6, 7],
+                current: frame.node,
+                neighbor: neighbor,
+                depth: frame.depth + 1,
+                description: `Exploring neighbor (${neighbor.row}, ${neighbor.col}) recursively.`
+            });
+            
+            yield* enter(neighbor, frame.depth + 1);
         }
     }
     
-    dfsHelper(start);
-    
-    steps.push({
+    yield steps.push({
         type: 'complete',
-        visited: new Set(visited),
         description: `DFS complete! Explored ${visited.size} nodes depth-first.`
     });
     
@@ -4,6 +4,7 @@
  */
 
 import { PriorityQueue, getNeighbors, manhattanDistance, reconstructPath } from '../utils/helpers.js';
+import { StepLog } from '../utils/stepLog.js';
 
 /**
  * Dijkstra's Algorithm
@@ -12,13 +13,13 @@ import { PriorityQueue, getNeighbors, manhattanDistance, reconstructPath } from
  * @param {Object} start - Start position {row, col}
  * @param {Object} end - End position {row, col}
  * @param {Set} walls - Set of wall positions
- * @returns {Array} Array of animation steps
+ * @yields {StepLog} Animation steps, one step per yield
  */
-export function dijkstra(rows, cols, start, end, walls = new Set()) {
-    const steps = [];
+export function* dijkstra(rows, cols, start, end, walls = new Set()) {
     const distances = new Map();
     const previous = new Map();
     const visited = new Set();
+    const steps = new StepLog({ visited });
     const pq = new PriorityQueue();
     
     // Initialize
@@ -26,8 +27,9 @@ export function dijkstra(rows, cols, start, end, walls = new Set()) {
     distances.set(startKey, 0);
     pq.enqueue(start, 0);
     
-    steps.push({
+    yield steps.push({
         type: 'init',
+        line: [3, 6],
         start: start,
         end: end,
         description: `Starting Dijkstra's Algorithm from (${start.row}, ${start.col}) to (${end.row}, ${end.col}).`
@@ -38,13 +40,13 @@ export function dijkstra(rows, cols, start, end, walls = new Set()) {
         const currentKey = `${current.row},${current.col}`;
         
         if (visited.has(currentKey)) continue;
-        visited.add(currentKey);
+        steps.add('visited', currentKey);
         
-        steps.push({
+        yield steps.push({
             type: 'visit',
+            line: 9,
             current: current,
             distance: currentDist,
-            visited: new Set(visited),
             description: `Visiting (${current.row}, ${current.col}) with distance ${currentDist}.`
         });
         
@@ -52,11 +54,11 @@ export function dijkstra(rows, cols, start, end, walls = new Set()) {
         if (current.row === end.row && current.col === end.col) {
             const path = reconstructPath(previous, start, end);
             
-            steps.push({
+            yield steps.push({
                 type: 'path-found',
+                line: [10, 11],
                 path: path,
                 distance: currentDist,
-                visited: new Set(visited),
                 description: `Shortest path found! Distance: ${currentDist}, Path length: ${path.length}`
             });
             
@@ -78,21 +80,21 @@ export function dijkstra(rows, cols, start, end, walls = new Set()) {
                 previous.set(neighborKey, current);
                 pq.enqueue(neighbor, newDist);
                 
-                steps.push({
+                yield steps.push({
                     type: 'update',
+                    line: [16, 17, 18],
                     current: current,
                     neighbor: neighbor,
                     distance: newDist,
-                    visited: new Set(visited),
                     description: `Updated distance to (${neighbor.row}, ${neighbor.col}): ${newDist}`
                 });
             }
         }
     }
     
-    steps.push({
+    yield steps.push({
         type: 'no-path',
-        visited: new Set(visited),
+        line: 19,
         description: 'No path exists from start to end.'
     });
     
@@ -106,14 +108,14 @@ export function dijkstra(rows, cols, start, end, walls = new Set()) {
  * @param {Object} start - Start position {row, col}
  * @param {Object} end - End position {row, col}
  * @param {Set} walls - Set of wall positions
- * @returns {Array} Array of animation steps
+ * @yields {StepLog} Animation steps, one step per yield
  */
-export function aStar(rows, cols, start, end, walls = new Set()) {
-    const steps = [];
+export function* aStar(rows, cols, start, end, walls = new Set()) {
     const gScore = new Map(); // Cost from start
     const fScore = new Map(); // gScore + heuristic
     const previous = new Map();
     const visited = new Set();
+    const steps = new StepLog({ visited });
     const openSet = new PriorityQueue();
     
     const startKey = `${start.row},${start.col}`;
@@ -121,8 +123,9 @@ export function aStar(rows, cols, start, end, walls = new Set()) {
     fScore.set(startKey, manhattanDistance(start, end));
     openSet.enqueue(start, fScore.get(startKey));
     
-    steps.push({
+    yield steps.push({
         type: 'init',
+        line: [2, 5],
         start: start,
         end: end,
         heuristic: manhattanDistance(start, end),
@@ -134,19 +137,19 @@ export function aStar(rows, cols, start, end, walls = new Set()) {
         const currentKey = `${current.row},${current.col}`;
         
         if (visited.has(currentKey)) continue;
-        visited.add(currentKey);
+        steps.add('visited', currentKey);
         
         const g = gScore.get(currentKey);
         const h = manhattanDistance(current, end);
         const f = g + h;
         
-        steps.push({
+        yield steps.push({
             type: 'visit',
+            line: 8,
             current: current,
             gScore: g,
             hScore: h,
             fScore: f,
-            visited: new Set(visited),
             description: `Visiting (${current.row}, ${current.col}). g=${g}, h=${h}, f=${f}`
         });
         
@@ -154,11 +157,11 @@ export function aStar(rows, cols, start, end, walls = new Set()) {
         if (current.row === end.row && current.col === end.col) {
             const path = reconstructPath(previous, start, end);
             
-            steps.push({
+            yield steps.push({
                 type: 'path-found',
+                line: [9, 10],
                 path: path,
                 distance: g,
-                visited: new Set(visited),
                 description: `Optimal path found! Cost: ${g}, Path length: ${path.length}`
             });
             
@@ -183,23 +186,23 @@ export function aStar(rows, cols, start, end, walls = new Set()) {
                 previous.set(neighborKey, current);
                 openSet.enqueue(neighbor, f);
                 
-                steps.push({
+                yield steps.push({
                     type: 'update',
+                    line: [16, 17, 18],
                     current: current,
                     neighbor: neighbor,
                     gScore: tentativeG,
                     hScore: h,
                     fScore: f,
-                    visited: new Set(visited),
                     description: `Updated (${neighbor.row}, ${neighbor.col}): g=${tentativeG}, h=${h}, f=${f}`
                 });
             }
         }
     }
     
-    steps.push({
+    yield steps.push({
         type: 'no-path',
-        visited: new Set(visited),
+        line: 19,
         description: 'No path exists from start to end.'
     });
     
@@ -3,24 +3,28 @@
  * Tree traversal implementations with call stack visualization
  */
 
+import { StepLog } from '../utils/stepLog.js';
+
 /**
  * Preorder Traversal (Root -> Left -> Right)
  * @param {Object} root - Tree root node
- * @returns {Array} Array of animation steps
+ * @yields {StepLog} Animation steps, one step per yield
  */
-export function preorderTraversal(root) {
-    const steps = [];
+export function* preorderTraversal(root) {
+    const steps = new StepLog();
     const callStack = [];
     
-    steps.push({
+    yield steps.push({
         type: 'init',
+        line: 1,
         description: 'Starting Preorder Traversal: Root → Left → Right'
     });
     
-    function traverse(node, depth = 0) {
+    function* traverse(node, depth = 0) {
         if (!node) {
-            steps.push({
+            yield steps.push({
                 type: 'null-node',
+                line: [2, 3],
                 callStack: [...callStack],
                 depth: depth,
                 description: 'Reached null node. Returning.'
@@ -31,8 +35,9 @@ export function preorderTraversal(root) {
         callStack.push(`preorder(${node.value})`);
         
         // Visit root
-        steps.push({
+        yield steps.push({
             type: 'visit',
+            line: 4,
             node: node,
             phase: 'root',
             callStack: [...callStack],
@@ -41,38 +46,41 @@ export function preorderTraversal(root) {
         });
         
         // Traverse left
-        steps.push({
+        yield steps.push({
             type: 'recurse',
+            line: 5,
             node: node,
             direction: 'left',
             callStack: [...callStack],
             description: `Recursing left from node ${node.value}.`
         });
-        traverse(node.left, depth + 1);
+        yield* traverse(node.left, depth + 1);
         
         // Traverse right
-        steps.push({
+        yield steps.push({
             type: 'recurse',
+            line: 6,
             node: node,
             direction: 'right',
             callStack: [...callStack],
             description: `Recursing right from node ${node.value}.`
         });
-        traverse(node.right, depth + 1);
+        yield* traverse(node.right, depth + 1);
         
         callStack.pop();
         
-        steps.push({
+        yield steps.push({
             type: 'return',
+            line: 6,
             node: node,
             callStack: [...callStack],
             description: `Returning from node ${node.value}.`
         });
     }
     
-    traverse(root);
+    yield* traverse(root);
     
-    steps.push({
+    yield steps.push({
         type: 'complete',
         description: 'Preorder Traversal complete!'
     });
@@ -83,21 +91,23 @@ export function preorderTraversal(root) {
 /**
  * Inorder Traversal (Left -> Root -> Right)
  * @param {Object} root - Tree root node
- * @returns {Array} Array of animation steps
+ * @yields {StepLog} Animation steps, one step per yield
  */
-export function inorderTraversal(root) {
-    const steps = [];
+export function* inorderTraversal(root) {
+    const steps = new StepLog();
     const callStack = [];
     
-    steps.push({
+    yield steps.push({
         type: 'init',
+        line: 1,
         description: 'Starting Inorder Traversal: Left → Root → Right'
     });
     
-    function traverse(node, depth = 0) {
+    function* traverse(node, depth = 0) {
         if (!node) {
-            steps.push({
+            yield steps.push({
                 type: 'null-node',
+                line: [2, 3],
                 callStack: [...callStack],
                 depth: depth,
                 description: 'Reached null node. Returning.'
@@ -108,18 +118,20 @@ export function inorderTraversal(root) {
         callStack.push(`inorder(${node.value})`);
         
         // Traverse left
-        steps.push({
+        yield steps.push({
             type: 'recurse',
+            line: 4,
             node: node,
             direction: 'left',
             callStack: [...callStack],
             description: `Recursing left from node ${node.value}.`
         });
-        traverse(node.left, depth + 1);
+        yield* traverse(node.left, depth + 1);
         
         // Visit root
-        steps.push({
+        yield steps.push({
             type: 'visit',
+            line: 5,
             node: node,
             phase: 'root',
             callStack: [...callStack],
@@ -128,28 +140,30 @@ export function inorderTraversal(root) {
         });
         
         // Traverse right
-        steps.push({
+        yield steps.push({
             type: 'recurse',
+            line: 6,
             node: node,
             direction: 'right',
             callStack: [...callStack],
             description: `Recursing right from node ${node.value}.`
         });
-        traverse(node.right, depth + 1);
+        yield* traverse(node.right, depth + 1);
         
         callStack.pop();
         
-        steps.push({
+        yield steps.push({
             type: 'return',
+            line: 6,
             node: node,
             callStack: [...callStack],
             description: `Returning from node ${node.value}.`
         });
     }
     
-    traverse(root);
+    yield* traverse(root);
     
-    steps.push({
+    yield steps.push({
         type: 'complete',
         description: 'Inorder Traversal complete! (Values in sorted order for BST)'
     });
@@ -160,21 +174,23 @@ export function inorderTraversal(root) {
 /**
  * Postorder Traversal (Left -> Right -> Root)
  * @param {Object} root - Tree root node
- * @returns {Array} Array of animation steps
+ * @yields {StepLog} Animation steps, one step per yield
  */
-export function postorderTraversal(root) {
-    const steps = [];
+export function* postorderTraversal(root) {
+    const steps = new StepLog();
     const callStack = [];
     
-    steps.push({
+    yield steps.push({
         type: 'init',
+        line: 1,
         description: 'Starting Postorder Traversal: Left → Right → Root'
     });
     
-    function traverse(node, depth = 0) {
+    function* traverse(node, depth = 0) {
         if (!node) {
-            steps.push({
+            yield steps.push({
                 type: 'null-node',
+                line: [2, 3],
                 callStack: [...callStack],
                 depth: depth,
                 description: 'Reached null node. Returning.'
@@ -185,28 +201,31 @@ export function postorderTraversal(root) {
         callStack.push(`postorder(${node.value})`);
         
         // Traverse left
-        steps.push({
+        yield steps.push({
             type: 'recurse',
+            line: 4,
             node: node,
             direction: 'left',
             callStack: [...callStack],
             description: `Recursing left from node ${node.value}.`
         });
-        traverse(node.left, depth + 1);
+        yield* traverse(node.left, depth + 1);
         
         // Traverse right
-        steps.push({
+        yield steps.push({
             type: 'recurse',
+            line: 5,
             node: node,
             direction: 'right',
             callStack: [...callStack],
             description: `Recursing right from node ${node.value}.`
         });
-        traverse(node.right, depth + 1);
+        yield* traverse(node.right, depth + 1);
         
         // Visit root
-        steps.push({
+        yield steps.push({
             type: 'visit',
+            line: 6,
             node: node,
             phase: 'root',
             callStack: [...callStack],
@@ -216,17 +235,18 @@ export function postorderTraversal(root) {
         
         callStack.pop();
         
-        steps.push({
+        yield steps.push({
             type: 'return',
+            line: 6,
             node: node,
             callStack: [...callStack],
             description: `Returning from node ${node.value}.`
         });
     }
     
-    traverse(root);
+    yield* traverse(root);
     
-    steps.push({
+    yield steps.push({
         type: 'complete',
         description: 'Postorder Traversal complete! (Useful for tree deletion)'
     });
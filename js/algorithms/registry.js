@@ -0,0 +1,39 @@
+/**
+ * Algorithm Registry
+ * Step generator for every algorithm ID, shared by the page and the step worker
+ */
+
+import {
+    bubbleSort, insertionSort, mergeSort, quickSort, heapSort,
+    countingSort, radixSortLSD, radixSortMSD, bucketSort, shellSort, combSort, timSort,
+    bitonicSort, oddEvenMergeSort
+} from './sorting.js';
+import { bfs, dfs } from './graph.js';
+import { dijkstra, aStar } from './pathfinding.js';
+import { preorderTraversal, inorderTraversal, postorderTraversal } from './recursion.js';
+
+// Arguments by category: sorts (data, options), graph (rows, cols, start),
+// pathfinding (rows, cols, start, end, walls), recursion (tree)
+export const STEP_GENERATORS = {
+    'bubble-sort': bubbleSort,
+    'insertion-sort': insertionSort,
+    'merge-sort': mergeSort,
+    'quick-sort': quickSort,
+    'heap-sort': heapSort,
+    'counting-sort': countingSort,
+    'radix-sort-lsd': radixSortLSD,
+    'radix-sort-msd': radixSortMSD,
+    'bucket-sort': bucketSort,
+    'shell-sort': shellSort,
+    'comb-sort': combSort,
+    'tim-sort': timSort,
+    'bitonic-sort': bitonicSort,
+    'odd-even-merge-sort': oddEvenMergeSort,
+    'bfs': bfs,
+    'dfs': dfs,
+    'dijkstra': dijkstra,
+    'astar': aStar,
+    'tree-preorder': preorderTraversal,
+    'tree-inorder': inorderTraversal,
+    'tree-postorder': postorderTraversal
+};
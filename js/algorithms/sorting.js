@@ -1,75 +1,153 @@
 /**
  * Sorting Algorithms
  * Pure algorithm implementations that generate animation steps
+ *
+ * Every generator also accepts SortRecords in place of numbers. Records compare
+ * by value through valueOf(), so their tags travel through each step untouched.
  */
 
-import { swap } from '../utils/helpers.js';
+import { SortRecord } from '../utils/helpers.js';
+import { StepLog } from '../utils/stepLog.js';
+
+/**
+ * Check whether tagged records with equal keys kept their original order
+ * @param {Array} array - Final sorted array
+ * @returns {Object} Stability fields for the complete step (empty for plain numbers)
+ */
+function stabilityReport(array) {
+    if (!(array[0] instanceof SortRecord)) return {};
+    
+    const unstable = new Set();
+    for (let i = 1; i < array.length; i++) {
+        if (Number(array[i - 1]) === Number(array[i]) && array[i - 1].tag > array[i].tag) {
+            unstable.add(i - 1);
+            unstable.add(i);
+        }
+    }
+    
+    return { stable: unstable.size === 0, unstable: [...unstable] };
+}
+
+/**
+ * Create zeroed operation counters. Each step carries a snapshot as `stats`:
+ * comparisons, swaps and writes (to the main array) are cumulative, while
+ * auxiliary is the number of elements currently held outside the main array.
+ * @returns {Object} Operation counters
+ */
+function createStats() {
+    return { comparisons: 0, swaps: 0, writes: 0, auxiliary: 0 };
+}
+
+/**
+ * Mark a range of indices as sorted. Steps pushed afterwards show them in the sorted color.
+ * @param {StepLog} steps - Step log with a `sorted` channel
+ * @param {number} from - First index
+ * @param {number} to - Last index (inclusive)
+ */
+function markSorted(steps, from, to) {
+    for (let i = from; i <= to; i++) steps.add('sorted', i);
+}
+
+/*
+ * Steps are recorded in a StepLog whose channels are the array being sorted
+ * (`array`) and the Set of indices known to be in their final place
+ * (`sorted`). Generators read the array directly but change it only through
+ * the log, so each step stores just the writes made since the previous one.
+ * Every generator yields the log after each step it records, so callers
+ * (through streamSteps) run it only as far as playback has reached.
+ *
+ * Sorts that move values outside the main array attach an `auxiliary` list to
+ * their steps describing those structures:
+ *   { type: 'counts',  title, labels, values: number[], active }
+ *   { type: 'buckets', title, labels, buckets: number[][], active }
+ *   { type: 'output',  title, values: (number|null)[], active }
+ *   { type: 'buffer',  title, values: number[], active, consumed }
+ * `active` is the slot (or output index) touched by the step, or null;
+ * buffer values before `consumed` have already been moved out (the last
+ * `consumed` values instead when the buffer has `fromEnd: true`).
+ * Instead of `values` or `buckets`, an entry may name a log `channel` that
+ * holds them; the contents are filled in when the step is read back.
+ *
+ * Each step also names the `line` of the algorithm's pseudocode (in
+ * ALGORITHM_INFO) it carries out, as a 1-based number or a list of them.
+ * Completion steps have none, since no line is running any more.
+ */
 
 /**
  * Generate animation steps for Bubble Sort
  * @param {number[]} arr - Array to sort
- * @returns {Array} Array of animation steps
+ * @yields {StepLog} Animation steps, one step per yield
  */
-export function bubbleSort(arr) {
-    const steps = [];
+export function* bubbleSort(arr) {
     const array = [...arr];
+    const steps = new StepLog({ array, sorted: new Set() });
+    const stats = createStats();
     const n = array.length;
     
-    steps.push({
+    yield steps.push({
         type: 'init',
-        array: [...array],
+        line: 1,
+        stats: { ...stats },
         description: 'Starting Bubble Sort. Array has ' + n + ' elements.'
     });
     
     for (let i = 0; i < n - 1; i++) {
         let swapped = false;
         
-        steps.push({
+        yield steps.push({
             type: 'pass',
-            array: [...array],
-            sorted: Array.from({ length: n - i }, (_, idx) => n - 1 - idx),
+            line: 3,
+            stats: { ...stats },
             description: `Pass ${i + 1}: Bubbling largest element to position ${n - 1 - i}.`
         });
         
         for (let j = 0; j < n - i - 1; j++) {
             // Comparison step
-            steps.push({
+            stats.comparisons++;
+            yield steps.push({
                 type: 'compare',
-                array: [...array],
+                line: 6,
+                stats: { ...stats },
                 indices: [j, j + 1],
-                sorted: Array.from({ length: i }, (_, idx) => n - 1 - idx),
                 description: `Comparing index ${j} (${array[j]}) with index ${j + 1} (${array[j + 1]}).`
             });
             
             if (array[j] > array[j + 1]) {
                 // Swap step
-                swap(array, j, j + 1);
-                steps.push({
+                steps.swap('array', j, j + 1);
+                stats.swaps++;
+                stats.writes += 2;
+                yield steps.push({
                     type: 'swap',
-                    array: [...array],
+                    line: 7,
+                    stats: { ...stats },
                     indices: [j, j + 1],
-                    sorted: Array.from({ length: i }, (_, idx) => n - 1 - idx),
                     description: `${array[j + 1]} > ${array[j]}, swapping positions.`
                 });
                 swapped = true;
             }
         }
         
+        // The largest remaining element has bubbled into place
+        steps.add('sorted', n - 1 - i);
+        
         if (!swapped) {
-            steps.push({
+            markSorted(steps, 0, n - 1);
+            yield steps.push({
                 type: 'early-exit',
-                array: [...array],
-                sorted: Array.from({ length: n }, (_, idx) => idx),
+                line: [9, 10],
+                stats: { ...stats },
                 description: 'No swaps in this pass. Array is sorted!'
             });
             break;
         }
     }
     
-    steps.push({
+    markSorted(steps, 0, n - 1);
+    yield steps.push({
         type: 'complete',
-        array: [...array],
-        sorted: Array.from({ length: n }, (_, idx) => idx),
+        stats: { ...stats },
+        ...stabilityReport(array),
         description: 'Bubble Sort complete! All elements are in order.'
     });
     
@@ -79,68 +157,81 @@ export function bubbleSort(arr) {
 /**
  * Generate animation steps for Insertion Sort
  * @param {number[]} arr - Array to sort
- * @returns {Array} Array of animation steps
+ * @yields {StepLog} Animation steps, one step per yield
  */
-export function insertionSort(arr) {
-    const steps = [];
+export function* insertionSort(arr) {
     const array = [...arr];
+    const steps = new StepLog({ array, sorted: new Set() });
+    const stats = createStats();
     const n = array.length;
     
-    steps.push({
+    yield steps.push({
         type: 'init',
-        array: [...array],
+        line: 1,
+        stats: { ...stats },
         description: 'Starting Insertion Sort. Building sorted array from left to right.'
     });
     
+    // A single element is a sorted portion of its own
+    if (n > 0) steps.add('sorted', 0);
+    
     for (let i = 1; i < n; i++) {
         const key = array[i];
         let j = i - 1;
         
-        steps.push({
+        yield steps.push({
             type: 'select',
-            array: [...array],
+            line: 3,
+            stats: { ...stats },
             indices: [i],
-            sorted: Array.from({ length: i }, (_, idx) => idx),
             description: `Selecting element at index ${i} (value: ${key}) to insert into sorted portion.`
         });
         
         while (j >= 0 && array[j] > key) {
-            steps.push({
+            stats.comparisons++;
+            yield steps.push({
                 type: 'compare',
-                array: [...array],
+                line: 5,
+                stats: { ...stats },
                 indices: [j, j + 1],
-                sorted: Array.from({ length: i }, (_, idx) => idx),
                 description: `Comparing ${array[j]} at index ${j} with key ${key}. Shifting right.`
             });
             
-            array[j + 1] = array[j];
+            steps.set('array', j + 1, array[j]);
+            stats.writes++;
             
-            steps.push({
+            yield steps.push({
                 type: 'shift',
-                array: [...array],
+                line: 6,
+                stats: { ...stats },
                 indices: [j, j + 1],
-                sorted: Array.from({ length: i }, (_, idx) => idx),
                 description: `Shifted ${array[j + 1]} from index ${j} to index ${j + 1}.`
             });
             
             j--;
         }
         
-        array[j + 1] = key;
+        // The comparison that ended the scan
+        if (j >= 0) stats.comparisons++;
         
-        steps.push({
+        steps.set('array', j + 1, key);
+        stats.writes++;
+        steps.add('sorted', i);
+        
+        yield steps.push({
             type: 'insert',
-            array: [...array],
+            line: 8,
+            stats: { ...stats },
             indices: [j + 1],
-            sorted: Array.from({ length: i + 1 }, (_, idx) => idx),
             description: `Inserted ${key} at index ${j + 1}. Sorted portion now has ${i + 1} elements.`
         });
     }
     
-    steps.push({
+    markSorted(steps, 0, n - 1);
+    yield steps.push({
         type: 'complete',
-        array: [...array],
-        sorted: Array.from({ length: n }, (_, idx) => idx),
+        stats: { ...stats },
+        ...stabilityReport(array),
         description: 'Insertion Sort complete! All elements inserted in correct order.'
     });
     
@@ -149,72 +240,105 @@ export function insertionSort(arr) {
 
 /**
  * Generate animation steps for Merge Sort
+ * Steps carry splitTree so the recursion levels can be drawn above the bars,
+ * and merge steps expose the temporary halves as auxiliary buffers.
  * @param {number[]} arr - Array to sort
- * @returns {Array} Array of animation steps
+ * @yields {StepLog} Animation steps, one step per yield
  */
-export function mergeSort(arr) {
-    const steps = [];
+export function* mergeSort(arr) {
     const array = [...arr];
+    const steps = new StepLog({ array, sorted: new Set() });
+    const stats = createStats();
     
-    steps.push({
+    yield steps.push({
         type: 'init',
-        array: [...array],
+        line: 1,
+        stats: { ...stats },
+        splitTree: true,
         description: 'Starting Merge Sort. Dividing array recursively.'
     });
     
-    function mergeSortHelper(arr, left, right, depth = 0) {
+    function* mergeSortHelper(arr, left, right, depth = 0) {
         if (left >= right) return;
         
         const mid = Math.floor((left + right) / 2);
         
-        steps.push({
+        yield steps.push({
             type: 'divide',
-            array: [...array],
+            line: 3,
+            stats: { ...stats },
+            splitTree: true,
             range: [left, right],
             mid: mid,
             depth: depth,
             description: `Dividing array[${left}...${right}] at index ${mid}.`
         });
         
-        mergeSortHelper(arr, left, mid, depth + 1);
-        mergeSortHelper(arr, mid + 1, right, depth + 1);
-        merge(arr, left, mid, right, depth);
+        yield* mergeSortHelper(arr, left, mid, depth + 1);
+        yield* mergeSortHelper(arr, mid + 1, right, depth + 1);
+        yield* merge(arr, left, mid, right, depth);
     }
     
-    function merge(arr, left, mid, right, depth) {
+    function* merge(arr, left, mid, right, depth) {
         const leftArr = array.slice(left, mid + 1);
         const rightArr = array.slice(mid + 1, right + 1);
+        stats.auxiliary = leftArr.length + rightArr.length;
+        
+        // Temporary halves; elements before i / j have been consumed
+        const buffers = (i, j) => [
+            { type: 'buffer', title: `Left half [${left}...${mid}]`, values: leftArr, active: i < leftArr.length ? i : null, consumed: i },
+            { type: 'buffer', title: `Right half [${mid + 1}...${right}]`, values: rightArr, active: j < rightArr.length ? j : null, consumed: j }
+        ];
         
-        steps.push({
+        yield steps.push({
             type: 'merge-start',
-            array: [...array],
+            line: [9, 10],
+            stats: { ...stats },
+            splitTree: true,
             range: [left, right],
+            mid: mid,
             depth: depth,
+            auxiliary: buffers(0, 0),
             description: `Merging subarrays [${left}...${mid}] and [${mid + 1}...${right}].`
         });
         
         let i = 0, j = 0, k = left;
         
         while (i < leftArr.length && j < rightArr.length) {
-            steps.push({
+            stats.comparisons++;
+            yield steps.push({
                 type: 'compare',
-                array: [...array],
+                line: 13,
+                stats: { ...stats },
+                splitTree: true,
                 indices: [left + i, mid + 1 + j],
+                range: [left, right],
+                mid: mid,
+                depth: depth,
+                auxiliary: buffers(i, j),
                 description: `Comparing ${leftArr[i]} and ${rightArr[j]}.`
             });
             
-            if (leftArr[i] <= rightArr[j]) {
-                array[k] = leftArr[i];
+            const takeLeft = leftArr[i] <= rightArr[j];
+            if (takeLeft) {
+                steps.set('array', k, leftArr[i]);
                 i++;
             } else {
-                array[k] = rightArr[j];
+                steps.set('array', k, rightArr[j]);
                 j++;
             }
+            stats.writes++;
             
-            steps.push({
+            yield steps.push({
                 type: 'place',
-                array: [...array],
+                line: takeLeft ? 14 : 16,
+                stats: { ...stats },
+                splitTree: true,
                 indices: [k],
+                range: [left, right],
+                mid: mid,
+                depth: depth,
+                auxiliary: buffers(i, j),
                 description: `Placed ${array[k]} at index ${k}.`
             });
             
@@ -222,45 +346,1834 @@ export function mergeSort(arr) {
         }
         
         while (i < leftArr.length) {
-            array[k] = leftArr[i];
-            steps.push({
+            steps.set('array', k, leftArr[i]);
+            stats.writes++;
+            i++;
+            yield steps.push({
                 type: 'place',
-                array: [...array],
+                line: 17,
+                stats: { ...stats },
+                splitTree: true,
                 indices: [k],
+                range: [left, right],
+                mid: mid,
+                depth: depth,
+                auxiliary: buffers(i, j),
                 description: `Copying remaining element ${array[k]} to index ${k}.`
             });
-            i++;
             k++;
         }
         
         while (j < rightArr.length) {
-            array[k] = rightArr[j];
-            steps.push({
+            steps.set('array', k, rightArr[j]);
+            stats.writes++;
+            j++;
+            yield steps.push({
                 type: 'place',
-                array: [...array],
+                line: 18,
+                stats: { ...stats },
+                splitTree: true,
                 indices: [k],
+                range: [left, right],
+                mid: mid,
+                depth: depth,
+                auxiliary: buffers(i, j),
                 description: `Copying remaining element ${array[k]} to index ${k}.`
             });
-            j++;
             k++;
         }
         
-        steps.push({
+        stats.auxiliary = 0;
+        yield steps.push({
             type: 'merge-complete',
-            array: [...array],
+            line: 6,
+            stats: { ...stats },
+            splitTree: true,
             range: [left, right],
+            mid: mid,
+            depth: depth,
             description: `Merged range [${left}...${right}] is now sorted.`
         });
     }
     
-    mergeSortHelper(array, 0, array.length - 1);
+    yield* mergeSortHelper(array, 0, array.length - 1);
     
-    steps.push({
+    markSorted(steps, 0, array.length - 1);
+    yield steps.push({
         type: 'complete',
-        array: [...array],
-        sorted: Array.from({ length: array.length }, (_, idx) => idx),
+        stats: { ...stats },
+        ...stabilityReport(array),
+        splitTree: true,
         description: 'Merge Sort complete! All subarrays merged in order.'
     });
     
     return steps;
 }
+
+/**
+ * Generate animation steps for Quick Sort
+ * @param {number[]} arr - Array to sort
+ * @param {Object} options - Quick Sort configuration
+ * @param {string} options.partitionScheme - 'lomuto' or 'hoare'
+ * @param {string} options.pivotStrategy - 'first', 'last', 'random' or 'median-of-three'
+ * @yields {StepLog} Animation steps, one step per yield
+ */
+export function* quickSort(arr, options = {}) {
+    const { partitionScheme = 'lomuto', pivotStrategy = 'last' } = options;
+    const array = [...arr];
+    const steps = new StepLog({ array, sorted: new Set() });
+    const stats = createStats();
+    const n = array.length;
+    const schemeName = partitionScheme === 'hoare' ? 'Hoare' : 'Lomuto';
+    // Pseudocode line that moves the chosen pivot into place
+    const pivotLine = partitionScheme === 'hoare' ? 19 : 8;
+    
+    yield steps.push({
+        type: 'init',
+        line: 1,
+        stats: { ...stats },
+        description: `Starting Quick Sort with ${schemeName} partitioning and ${pivotStrategy} pivot selection.`
+    });
+    
+    function* quickSortHelper(low, high, depth = 0) {
+        if (low > high) return;
+        
+        if (low === high) {
+            steps.add('sorted', low);
+            yield steps.push({
+                type: 'recurse',
+                line: 2,
+                stats: { ...stats },
+                range: [low, high],
+                depth: depth,
+                description: `Range [${low}...${high}] has a single element. It is already in place.`
+            });
+            return;
+        }
+        
+        yield steps.push({
+            type: 'recurse',
+            line: 2,
+            stats: { ...stats },
+            range: [low, high],
+            depth: depth,
+            description: `Sorting range [${low}...${high}] at recursion depth ${depth}.`
+        });
+        
+        if (partitionScheme === 'hoare') {
+            const split = yield* hoarePartition(low, high, depth);
+            yield* quickSortHelper(low, split, depth + 1);
+            yield* quickSortHelper(split + 1, high, depth + 1);
+        } else {
+            const pivotIndex = yield* lomutoPartition(low, high, depth);
+            yield* quickSortHelper(low, pivotIndex - 1, depth + 1);
+            yield* quickSortHelper(pivotIndex + 1, high, depth + 1);
+        }
+    }
+    
+    function* choosePivot(low, high, depth) {
+        const mid = Math.floor((low + high) / 2);
+        let pivotIndex;
+        let candidates = [];
+        
+        switch (pivotStrategy) {
+            case 'first':
+                pivotIndex = low;
+                break;
+            case 'random':
+                pivotIndex = low + Math.floor(Math.random() * (high - low + 1));
+                break;
+            case 'median-of-three': {
+                candidates = [low, mid, high];
+                const ordered = [...candidates].sort((a, b) => array[a] - array[b]);
+                pivotIndex = ordered[1];
+                stats.comparisons += 3;
+                break;
+            }
+            default:
+                pivotIndex = high;
+        }
+        
+        yield steps.push({
+            type: 'pivot',
+            line: pivotLine,
+            stats: { ...stats },
+            indices: candidates,
+            pivot: pivotIndex,
+            range: [low, high],
+            depth: depth,
+            description: candidates.length > 0
+                ? `Median of ${array[low]}, ${array[mid]} and ${array[high]} is ${array[pivotIndex]}. Using index ${pivotIndex} as pivot.`
+                : `Choosing ${array[pivotIndex]} at index ${pivotIndex} as pivot (${pivotStrategy} element).`
+        });
+        
+        return pivotIndex;
+    }
+    
+    function* movePivot(from, to, range, depth) {
+        if (from === to) return;
+        
+        steps.swap('array', from, to);
+        stats.swaps++;
+        stats.writes += 2;
+        yield steps.push({
+            type: 'swap',
+            line: pivotLine,
+            stats: { ...stats },
+            indices: [from, to],
+            pivot: to,
+            range: range,
+            depth: depth,
+            description: `Moving pivot ${array[to]} to index ${to} before partitioning.`
+        });
+    }
+    
+    function* lomutoPartition(low, high, depth) {
+        const range = [low, high];
+        yield* movePivot(yield* choosePivot(low, high, depth), high, range, depth);
+        
+        const pivotValue = array[high];
+        let i = low - 1;
+        
+        for (let j = low; j < high; j++) {
+            stats.comparisons++;
+            yield steps.push({
+                type: 'compare',
+                line: 12,
+                stats: { ...stats },
+                indices: [j, high],
+                pivot: high,
+                boundaries: [i + 1],
+                range: range,
+                depth: depth,
+                description: `Comparing ${array[j]} at index ${j} with pivot ${pivotValue}.`
+            });
+            
+            if (array[j] <= pivotValue) {
+                i++;
+                if (i !== j) {
+                    steps.swap('array', i, j);
+                    stats.swaps++;
+                    stats.writes += 2;
+                    yield steps.push({
+                        type: 'swap',
+                        line: 14,
+                        stats: { ...stats },
+                        indices: [i, j],
+                        pivot: high,
+                        boundaries: [i + 1],
+                        range: range,
+                        depth: depth,
+                        description: `${array[i]} <= ${pivotValue}, swapping it into the low partition at index ${i}.`
+                    });
+                }
+            }
+        }
+        
+        const pivotIndex = i + 1;
+        if (pivotIndex !== high) {
+            steps.swap('array', pivotIndex, high);
+            stats.swaps++;
+            stats.writes += 2;
+        }
+        steps.add('sorted', pivotIndex);
+        
+        yield steps.push({
+            type: 'partition',
+            line: [15, 16],
+            stats: { ...stats },
+            indices: [pivotIndex],
+            pivot: pivotIndex,
+            boundaries: [pivotIndex, pivotIndex + 1],
+            range: range,
+            depth: depth,
+            description: `Pivot ${pivotValue} placed at its final index ${pivotIndex}. Smaller elements are left, larger are right.`
+        });
+        
+        return pivotIndex;
+    }
+    
+    function* hoarePartition(low, high, depth) {
+        const range = [low, high];
+        yield* movePivot(yield* choosePivot(low, high, depth), low, range, depth);
+        
+        const pivotValue = array[low];
+        let pivotIndex = low;
+        let i = low - 1;
+        let j = high + 1;
+        
+        while (true) {
+            do {
+                i++;
+                stats.comparisons++;
+                yield steps.push({
+                    type: 'compare',
+                    line: 23,
+                    stats: { ...stats },
+                    indices: [i],
+                    pivot: pivotIndex,
+                    boundaries: [i, j + 1],
+                    range: range,
+                    depth: depth,
+                    description: `Left pointer at index ${i}: is ${array[i]} < pivot ${pivotValue}?`
+                });
+            } while (array[i] < pivotValue);
+            
+            do {
+                j--;
+                stats.comparisons++;
+                yield steps.push({
+                    type: 'compare',
+                    line: 24,
+                    stats: { ...stats },
+                    indices: [j],
+                    pivot: pivotIndex,
+                    boundaries: [i, j + 1],
+                    range: range,
+                    depth: depth,
+                    description: `Right pointer at index ${j}: is ${array[j]} > pivot ${pivotValue}?`
+                });
+            } while (array[j] > pivotValue);
+            
+            if (i >= j) {
+                yield steps.push({
+                    type: 'partition',
+                    line: 25,
+                    stats: { ...stats },
+                    boundaries: [j + 1],
+                    range: range,
+                    depth: depth,
+                    description: `Pointers crossed. Range splits into [${low}...${j}] (<= ${pivotValue}) and [${j + 1}...${high}] (>= ${pivotValue}).`
+                });
+                return j;
+            }
+            
+            steps.swap('array', i, j);
+            stats.swaps++;
+            stats.writes += 2;
+            if (pivotIndex === i) {
+                pivotIndex = j;
+            } else if (pivotIndex === j) {
+                pivotIndex = i;
+            }
+            
+            yield steps.push({
+                type: 'swap',
+                line: 26,
+                stats: { ...stats },
+                indices: [i, j],
+                pivot: pivotIndex,
+                boundaries: [i + 1, j],
+                range: range,
+                depth: depth,
+                description: `Swapping ${array[j]} and ${array[i]} so each lands on the correct side of the pivot.`
+            });
+        }
+    }
+    
+    yield* quickSortHelper(0, n - 1);
+    
+    markSorted(steps, 0, n - 1);
+    yield steps.push({
+        type: 'complete',
+        stats: { ...stats },
+        ...stabilityReport(array),
+        description: 'Quick Sort complete! Every partition has been resolved.'
+    });
+    
+    return steps;
+}
+
+/**
+ * Generate animation steps for Heap Sort
+ * Every step carries heapSize so the implicit binary heap can be drawn as a tree
+ * @param {number[]} arr - Array to sort
+ * @yields {StepLog} Animation steps, one step per yield
+ */
+export function* heapSort(arr) {
+    const array = [...arr];
+    const steps = new StepLog({ array, sorted: new Set() });
+    const stats = createStats();
+    const n = array.length;
+    
+    yield steps.push({
+        type: 'init',
+        line: 1,
+        stats: { ...stats },
+        heapSize: n,
+        description: `Starting Heap Sort. The array is viewed as a binary tree: children of index i are 2i+1 and 2i+2.`
+    });
+    
+    function* siftDown(root, heapSize) {
+        yield steps.push({
+            type: 'heapify',
+            line: 9,
+            stats: { ...stats },
+            indices: [root],
+            heapSize: heapSize,
+            description: `Sifting down ${array[root]} from index ${root} to restore the max-heap property.`
+        });
+        
+        while (true) {
+            const left = 2 * root + 1;
+            const right = left + 1;
+            let largest = root;
+            
+            if (left >= heapSize) break;
+            
+            stats.comparisons++;
+            yield steps.push({
+                type: 'compare',
+                line: 11,
+                stats: { ...stats },
+                indices: [largest, left],
+                heapSize: heapSize,
+                description: `Comparing parent ${array[largest]} with left child ${array[left]}.`
+            });
+            if (array[left] > array[largest]) largest = left;
+            
+            if (right < heapSize) {
+                stats.comparisons++;
+                yield steps.push({
+                    type: 'compare',
+                    line: 11,
+                    stats: { ...stats },
+                    indices: [largest, right],
+                    heapSize: heapSize,
+                    description: `Comparing ${array[largest]} with right child ${array[right]}.`
+                });
+                if (array[right] > array[largest]) largest = right;
+            }
+            
+            if (largest === root) break;
+            
+            steps.swap('array', root, largest);
+            stats.swaps++;
+            stats.writes += 2;
+            yield steps.push({
+                type: 'swap',
+                line: 14,
+                stats: { ...stats },
+                indices: [root, largest],
+                heapSize: heapSize,
+                description: `Child ${array[root]} is larger, swapping it up to index ${root}.`
+            });
+            
+            root = largest;
+        }
+    }
+    
+    // Build max heap bottom-up
+    for (let i = Math.floor(n / 2) - 1; i >= 0; i--) {
+        yield* siftDown(i, n);
+    }
+    
+    yield steps.push({
+        type: 'heap-built',
+        line: 3,
+        stats: { ...stats },
+        indices: n > 0 ? [0] : [],
+        heapSize: n,
+        description: n > 0 ? `Max heap built. The largest element ${array[0]} is at the root.` : 'Max heap built. The array is empty.'
+    });
+    
+    // Repeatedly extract the maximum
+    for (let end = n - 1; end > 0; end--) {
+        steps.swap('array', 0, end);
+        stats.swaps++;
+        stats.writes += 2;
+        steps.add('sorted', end);
+        yield steps.push({
+            type: 'extract',
+            line: 6,
+            stats: { ...stats },
+            indices: [0, end],
+            heapSize: end,
+            description: `Extracting max ${array[end]}: swapping root with index ${end}. Heap shrinks to ${end} elements.`
+        });
+        
+        yield* siftDown(0, end);
+    }
+    
+    markSorted(steps, 0, n - 1);
+    yield steps.push({
+        type: 'complete',
+        stats: { ...stats },
+        ...stabilityReport(array),
+        heapSize: 0,
+        description: 'Heap Sort complete! Every maximum has been extracted in turn.'
+    });
+    
+    return steps;
+}
+
+/**
+ * Generate animation steps for Counting Sort
+ * @param {number[]} arr - Array of non-negative integers to sort
+ * @yields {StepLog} Animation steps, one step per yield
+ */
+export function* countingSort(arr) {
+    const array = [...arr];
+    const n = array.length;
+    const min = n > 0 ? Math.min(...array) : 0;
+    const max = n > 0 ? Math.max(...array) : 0;
+    const counts = new Array(max - min + 1).fill(0);
+    const output = new Array(n).fill(null);
+    const labels = counts.map((_, k) => k + min);
+    const steps = new StepLog({ array, sorted: new Set(), counts, output });
+    const stats = createStats();
+    stats.auxiliary = counts.length + output.length;
+    
+    const auxiliary = (countActive = null, outputActive = null) => [
+        { type: 'counts', title: 'Count array', labels: labels, channel: 'counts', active: countActive },
+        { type: 'output', title: 'Output array', channel: 'output', active: outputActive }
+    ];
+    
+    yield steps.push({
+        type: 'init',
+        line: 2,
+        stats: { ...stats },
+        auxiliary: auxiliary(),
+        description: `Starting Counting Sort. Values range from ${min} to ${max}, so the count array has ${counts.length} slots.`
+    });
+    
+    for (let i = 0; i < n; i++) {
+        steps.set('counts', array[i] - min, counts[array[i] - min] + 1);
+        yield steps.push({
+            type: 'count',
+            line: 4,
+            stats: { ...stats },
+            indices: [i],
+            auxiliary: auxiliary(array[i] - min),
+            description: `Counting ${array[i]}: count[${array[i]}] is now ${counts[array[i] - min]}.`
+        });
+    }
+    
+    for (let k = 1; k < counts.length; k++) {
+        steps.set('counts', k, counts[k] + counts[k - 1]);
+        yield steps.push({
+            type: 'prefix',
+            line: 6,
+            stats: { ...stats },
+            auxiliary: auxiliary(k),
+            description: `Prefix sum: ${counts[k]} elements are <= ${labels[k]}.`
+        });
+    }
+    
+    // Walk backwards so equal keys keep their relative order
+    for (let i = n - 1; i >= 0; i--) {
+        const slot = array[i] - min;
+        steps.set('counts', slot, counts[slot] - 1);
+        steps.set('output', counts[slot], array[i]);
+        yield steps.push({
+            type: 'place',
+            line: [8, 9],
+            stats: { ...stats },
+            indices: [i],
+            auxiliary: auxiliary(slot, counts[slot]),
+            description: `Placing ${array[i]} from index ${i} at output position ${counts[slot]}.`
+        });
+    }
+    
+    for (let i = 0; i < n; i++) {
+        steps.set('array', i, output[i]);
+        stats.writes++;
+        steps.add('sorted', i);
+        yield steps.push({
+            type: 'write',
+            line: 10,
+            stats: { ...stats },
+            indices: [i],
+            auxiliary: auxiliary(null, i),
+            description: `Copying ${array[i]} from the output array back to index ${i}.`
+        });
+    }
+    
+    markSorted(steps, 0, n - 1);
+    yield steps.push({
+        type: 'complete',
+        stats: { ...stats },
+        ...stabilityReport(array),
+        auxiliary: auxiliary(),
+        description: 'Counting Sort complete! No element was ever compared with another.'
+    });
+    
+    return steps;
+}
+
+/**
+ * Describe a power of ten as a digit place
+ * @param {number} exp - Power of ten
+ * @returns {string} Place name
+ */
+function digitPlace(exp) {
+    const names = { 1: 'ones', 10: 'tens', 100: 'hundreds', 1000: 'thousands' };
+    return names[exp] || `10^${Math.round(Math.log10(exp))}`;
+}
+
+const DIGIT_LABELS = Array.from({ length: 10 }, (_, d) => String(d));
+
+/**
+ * Build the auxiliary description of the ten digit buckets held in the `buckets` channel
+ * @param {number} exp - Digit place being processed
+ * @param {number|null} active - Bucket touched by the step
+ * @returns {Array} Auxiliary structures
+ */
+function digitBuckets(exp, active = null) {
+    return [{
+        type: 'buckets',
+        title: `Digit buckets (${digitPlace(exp)} place)`,
+        labels: DIGIT_LABELS,
+        channel: 'buckets',
+        active: active
+    }];
+}
+
+/**
+ * Generate animation steps for LSD Radix Sort (base 10)
+ * @param {number[]} arr - Array of non-negative integers to sort
+ * @yields {StepLog} Animation steps, one step per yield
+ */
+export function* radixSortLSD(arr) {
+    const array = [...arr];
+    const buckets = Array.from({ length: 10 }, () => []);
+    const steps = new StepLog({ array, sorted: new Set(), buckets });
+    const stats = createStats();
+    const n = array.length;
+    const max = n > 0 ? Math.max(...array) : 0;
+    
+    yield steps.push({
+        type: 'init',
+        line: 1,
+        stats: { ...stats },
+        description: `Starting LSD Radix Sort. Sorting by each digit from least to most significant (max value ${max}).`
+    });
+    
+    // Every pass collects all buckets back, so they start each pass empty
+    for (let exp = 1; Math.floor(max / exp) > 0; exp *= 10) {
+        yield steps.push({
+            type: 'pass',
+            line: [2, 3],
+            stats: { ...stats },
+            auxiliary: digitBuckets(exp),
+            description: `New pass: distributing elements into buckets by their ${digitPlace(exp)} digit.`
+        });
+        
+        for (let i = 0; i < n; i++) {
+            const digit = Math.floor(array[i] / exp) % 10;
+            steps.append('buckets', digit, array[i]);
+            stats.auxiliary++;
+            yield steps.push({
+                type: 'distribute',
+                line: 5,
+                stats: { ...stats },
+                indices: [i],
+                auxiliary: digitBuckets(exp, digit),
+                description: `${array[i]} has ${digitPlace(exp)} digit ${digit}. Moving it to bucket ${digit}.`
+            });
+        }
+        
+        let k = 0;
+        for (let digit = 0; digit < 10; digit++) {
+            while (buckets[digit].length > 0) {
+                steps.set('array', k, steps.shift('buckets', digit));
+                stats.auxiliary--;
+                stats.writes++;
+                yield steps.push({
+                    type: 'collect',
+                    line: 6,
+                    stats: { ...stats },
+                    indices: [k],
+                    auxiliary: digitBuckets(exp, digit),
+                    description: `Collecting ${array[k]} from bucket ${digit} into index ${k}.`
+                });
+                k++;
+            }
+        }
+    }
+    
+    markSorted(steps, 0, n - 1);
+    yield steps.push({
+        type: 'complete',
+        stats: { ...stats },
+        ...stabilityReport(array),
+        description: 'LSD Radix Sort complete! Every digit place has been processed.'
+    });
+    
+    return steps;
+}
+
+/**
+ * Generate animation steps for MSD Radix Sort (base 10)
+ * @param {number[]} arr - Array of non-negative integers to sort
+ * @yields {StepLog} Animation steps, one step per yield
+ */
+export function* radixSortMSD(arr) {
+    const array = [...arr];
+    const buckets = Array.from({ length: 10 }, () => []);
+    const steps = new StepLog({ array, sorted: new Set(), buckets });
+    const stats = createStats();
+    const n = array.length;
+    const max = n > 0 ? Math.max(...array) : 0;
+    
+    let topExp = 1;
+    while (Math.floor(max / topExp) >= 10) topExp *= 10;
+    
+    yield steps.push({
+        type: 'init',
+        line: 1,
+        stats: { ...stats },
+        description: `Starting MSD Radix Sort. Splitting by the ${digitPlace(topExp)} digit first, then recursing into each bucket.`
+    });
+    
+    function* msdHelper(low, high, exp, depth) {
+        if (low > high) return;
+        
+        if (low === high || exp < 1) {
+            for (let i = low; i <= high; i++) steps.add('sorted', i);
+            yield steps.push({
+                type: 'recurse',
+                line: [2, 3],
+                stats: { ...stats },
+                range: [low, high],
+                depth: depth,
+                description: low === high
+                    ? `Range [${low}...${high}] has a single element. It is in place.`
+                    : `All digits of range [${low}...${high}] processed. Its elements are equal and in place.`
+            });
+            return;
+        }
+        
+        // The buckets are shared by every level: each range empties them before recursing
+        yield steps.push({
+            type: 'recurse',
+            line: 4,
+            stats: { ...stats },
+            range: [low, high],
+            depth: depth,
+            auxiliary: digitBuckets(exp),
+            description: `Sorting range [${low}...${high}] by the ${digitPlace(exp)} digit.`
+        });
+        
+        for (let i = low; i <= high; i++) {
+            const digit = Math.floor(array[i] / exp) % 10;
+            steps.append('buckets', digit, array[i]);
+            stats.auxiliary++;
+            yield steps.push({
+                type: 'distribute',
+                line: 6,
+                stats: { ...stats },
+                indices: [i],
+                range: [low, high],
+                depth: depth,
+                auxiliary: digitBuckets(exp, digit),
+                description: `${array[i]} has ${digitPlace(exp)} digit ${digit}. Moving it to bucket ${digit}.`
+            });
+        }
+        
+        const bucketRanges = [];
+        let k = low;
+        for (let digit = 0; digit < 10; digit++) {
+            const start = k;
+            while (buckets[digit].length > 0) {
+                steps.set('array', k, steps.shift('buckets', digit));
+                stats.auxiliary--;
+                stats.writes++;
+                yield steps.push({
+                    type: 'collect',
+                    line: 7,
+                    stats: { ...stats },
+                    indices: [k],
+                    range: [low, high],
+                    depth: depth,
+                    auxiliary: digitBuckets(exp, digit),
+                    description: `Collecting ${array[k]} from bucket ${digit} into index ${k}.`
+                });
+                k++;
+            }
+            if (k > start) bucketRanges.push([start, k - 1]);
+        }
+        
+        for (const [start, end] of bucketRanges) {
+            yield* msdHelper(start, end, exp / 10, depth + 1);
+        }
+    }
+    
+    yield* msdHelper(0, n - 1, topExp, 0);
+    
+    markSorted(steps, 0, n - 1);
+    yield steps.push({
+        type: 'complete',
+        stats: { ...stats },
+        ...stabilityReport(array),
+        description: 'MSD Radix Sort complete! Every bucket has been refined down to the ones digit.'
+    });
+    
+    return steps;
+}
+
+/**
+ * Generate animation steps for Bucket Sort
+ * @param {number[]} arr - Array to sort
+ * @yields {StepLog} Animation steps, one step per yield
+ */
+export function* bucketSort(arr) {
+    const array = [...arr];
+    const n = array.length;
+    const min = n > 0 ? Math.min(...array) : 0;
+    const max = n > 0 ? Math.max(...array) : 0;
+    const bucketCount = Math.max(1, Math.round(Math.sqrt(n)));
+    const bucketWidth = (max - min + 1) / bucketCount;
+    const buckets = Array.from({ length: bucketCount }, () => []);
+    const labels = buckets.map((_, b) => `${Math.ceil(min + b * bucketWidth)}+`);
+    const steps = new StepLog({ array, sorted: new Set(), buckets });
+    const stats = createStats();
+    
+    const auxiliary = (active = null) => [{
+        type: 'buckets',
+        title: `${bucketCount} buckets of width ${bucketWidth.toFixed(1)}`,
+        labels: labels,
+        channel: 'buckets',
+        active: active
+    }];
+    
+    yield steps.push({
+        type: 'init',
+        line: 2,
+        stats: { ...stats },
+        auxiliary: auxiliary(),
+        description: `Starting Bucket Sort with ${bucketCount} buckets spanning ${min} to ${max}.`
+    });
+    
+    for (let i = 0; i < n; i++) {
+        const b = Math.floor((array[i] - min) / bucketWidth);
+        steps.append('buckets', b, array[i]);
+        stats.auxiliary++;
+        yield steps.push({
+            type: 'distribute',
+            line: 4,
+            stats: { ...stats },
+            indices: [i],
+            auxiliary: auxiliary(b),
+            description: `${array[i]} falls in bucket ${b}.`
+        });
+    }
+    
+    for (let b = 0; b < bucketCount; b++) {
+        const bucket = [...buckets[b]];
+        
+        // Insertion sort within the bucket, recorded as one write of the sorted bucket
+        for (let i = 1; i < bucket.length; i++) {
+            const key = bucket[i];
+            let j = i - 1;
+            while (j >= 0 && bucket[j] > key) {
+                stats.comparisons++;
+                bucket[j + 1] = bucket[j];
+                j--;
+            }
+            if (j >= 0) stats.comparisons++;
+            bucket[j + 1] = key;
+        }
+        steps.set('buckets', b, bucket);
+        
+        yield steps.push({
+            type: 'bucket-sort',
+            line: 6,
+            stats: { ...stats },
+            auxiliary: auxiliary(b),
+            description: bucket.length > 1
+                ? `Insertion-sorting bucket ${b} (${bucket.length} elements).`
+                : `Bucket ${b} has ${bucket.length} element${bucket.length === 1 ? '' : 's'}; nothing to sort.`
+        });
+    }
+    
+    let k = 0;
+    for (let b = 0; b < bucketCount; b++) {
+        while (buckets[b].length > 0) {
+            steps.set('array', k, steps.shift('buckets', b));
+            stats.auxiliary--;
+            stats.writes++;
+            steps.add('sorted', k);
+            yield steps.push({
+                type: 'collect',
+                line: 7,
+                stats: { ...stats },
+                indices: [k],
+                auxiliary: auxiliary(b),
+                description: `Collecting ${array[k]} from bucket ${b} into index ${k}.`
+            });
+            k++;
+        }
+    }
+    
+    markSorted(steps, 0, n - 1);
+    yield steps.push({
+        type: 'complete',
+        stats: { ...stats },
+        ...stabilityReport(array),
+        auxiliary: auxiliary(),
+        description: 'Bucket Sort complete! Concatenating the sorted buckets yields the sorted array.'
+    });
+    
+    return steps;
+}
+
+/**
+ * Build a decreasing gap sequence for Shell Sort, ending at 1
+ * @param {number} n - Array length
+ * @param {string} sequence - 'shell', 'knuth', 'sedgewick' or 'ciura'
+ * @returns {number[]} Gaps from largest to smallest
+ */
+function shellGaps(n, sequence) {
+    const gaps = [];
+    
+    switch (sequence) {
+        case 'knuth':
+            // 1, 4, 13, 40, ... (3h + 1)
+            for (let h = 1; h < n; h = 3 * h + 1) gaps.push(h);
+            break;
+        case 'sedgewick':
+            // 1, 8, 23, 77, 281, ... (4^k + 3·2^(k-1) + 1)
+            gaps.push(1);
+            for (let k = 1; 4 ** k + 3 * 2 ** (k - 1) + 1 < n; k++) {
+                gaps.push(4 ** k + 3 * 2 ** (k - 1) + 1);
+            }
+            break;
+        case 'ciura': {
+            // Empirically tuned, extended by a factor of 2.25 past 1750
+            const ciura = [1, 4, 10, 23, 57, 132, 301, 701, 1750];
+            for (let i = 0; ; i++) {
+                const h = i < ciura.length ? ciura[i] : Math.floor(gaps[gaps.length - 1] * 2.25);
+                if (h >= n && gaps.length > 0) break;
+                gaps.push(h);
+            }
+            break;
+        }
+        default:
+            // Shell's original n/2, n/4, ..., 1
+            for (let h = Math.floor(n / 2); h > 0; h = Math.floor(h / 2)) gaps.unshift(h);
+    }
+    
+    return gaps.reverse();
+}
+
+/**
+ * Generate animation steps for Shell Sort
+ * @param {number[]} arr - Array to sort
+ * @param {Object} options - Shell Sort configuration
+ * @param {string} options.gapSequence - 'shell', 'knuth', 'sedgewick' or 'ciura'
+ * @yields {StepLog} Animation steps, one step per yield
+ */
+export function* shellSort(arr, options = {}) {
+    const { gapSequence = 'shell' } = options;
+    const array = [...arr];
+    const steps = new StepLog({ array, sorted: new Set() });
+    const stats = createStats();
+    const n = array.length;
+    const gaps = n > 1 ? shellGaps(n, gapSequence) : [];
+    const sequenceName = { knuth: 'Knuth', sedgewick: 'Sedgewick', ciura: 'Ciura' }[gapSequence] || 'Shell';
+    
+    yield steps.push({
+        type: 'init',
+        line: 1,
+        stats: { ...stats },
+        description: `Starting Shell Sort with ${sequenceName}'s gap sequence: ${gaps.join(', ') || 'none'}.`
+    });
+    
+    for (const gap of gaps) {
+        yield steps.push({
+            type: 'gap',
+            line: 2,
+            stats: { ...stats },
+            gap: gap,
+            description: gap === 1
+                ? 'Gap 1: a final plain insertion sort over an almost sorted array.'
+                : `Gap ${gap}: insertion sorting ${Math.min(gap, n - gap)} interleaved subsequences of elements ${gap} apart.`
+        });
+        
+        for (let i = gap; i < n; i++) {
+            const key = array[i];
+            let j = i - gap;
+            
+            yield steps.push({
+                type: 'select',
+                line: 4,
+                stats: { ...stats },
+                gap: gap,
+                indices: [i],
+                description: `Selecting ${key} at index ${i} to insert into its gap-${gap} subsequence.`
+            });
+            
+            while (j >= 0 && array[j] > key) {
+                stats.comparisons++;
+                yield steps.push({
+                    type: 'compare',
+                    line: 6,
+                    stats: { ...stats },
+                    gap: gap,
+                    indices: [j, j + gap],
+                    description: `Comparing ${array[j]} at index ${j} with key ${key}. Shifting right by ${gap}.`
+                });
+                
+                steps.set('array', j + gap, array[j]);
+                stats.writes++;
+                
+                yield steps.push({
+                    type: 'shift',
+                    line: 7,
+                    stats: { ...stats },
+                    gap: gap,
+                    indices: [j, j + gap],
+                    description: `Shifted ${array[j + gap]} from index ${j} to index ${j + gap}.`
+                });
+                
+                j -= gap;
+            }
+            
+            // The comparison that ended the scan
+            if (j >= 0) stats.comparisons++;
+            
+            steps.set('array', j + gap, key);
+            stats.writes++;
+            
+            yield steps.push({
+                type: 'insert',
+                line: 9,
+                stats: { ...stats },
+                gap: gap,
+                indices: [j + gap],
+                description: `Inserted ${key} at index ${j + gap}.`
+            });
+        }
+    }
+    
+    markSorted(steps, 0, n - 1);
+    yield steps.push({
+        type: 'complete',
+        stats: { ...stats },
+        ...stabilityReport(array),
+        description: `Shell Sort complete after ${gaps.length} gap passes.`
+    });
+    
+    return steps;
+}
+
+/**
+ * Generate animation steps for Comb Sort
+ * @param {number[]} arr - Array to sort
+ * @param {Object} options - Comb Sort configuration
+ * @param {number} options.shrink - Factor the gap is divided by after each pass
+ * @yields {StepLog} Animation steps, one step per yield
+ */
+export function* combSort(arr, options = {}) {
+    const { shrink = 1.3 } = options;
+    const array = [...arr];
+    const steps = new StepLog({ array, sorted: new Set() });
+    const stats = createStats();
+    const n = array.length;
+    let gap = n;
+    let swapped = true;
+    let pass = 0;
+    
+    yield steps.push({
+        type: 'init',
+        line: [2, 3],
+        stats: { ...stats },
+        description: `Starting Comb Sort with shrink factor ${shrink}.`
+    });
+    
+    // Passes continue at gap 1 until one makes no swaps, just like Bubble Sort
+    while (gap > 1 || swapped) {
+        // Always shrink by at least one so factors close to 1 still terminate
+        gap = Math.max(1, Math.min(gap - 1, Math.floor(gap / shrink)));
+        swapped = false;
+        pass++;
+        
+        yield steps.push({
+            type: 'gap',
+            line: 5,
+            stats: { ...stats },
+            gap: gap,
+            description: `Pass ${pass}: comparing elements ${gap} apart.`
+        });
+        
+        for (let i = 0; i + gap < n; i++) {
+            stats.comparisons++;
+            yield steps.push({
+                type: 'compare',
+                line: 8,
+                stats: { ...stats },
+                gap: gap,
+                indices: [i, i + gap],
+                description: `Comparing index ${i} (${array[i]}) with index ${i + gap} (${array[i + gap]}).`
+            });
+            
+            if (array[i] > array[i + gap]) {
+                steps.swap('array', i, i + gap);
+                stats.swaps++;
+                stats.writes += 2;
+                swapped = true;
+                yield steps.push({
+                    type: 'swap',
+                    line: 9,
+                    stats: { ...stats },
+                    gap: gap,
+                    indices: [i, i + gap],
+                    description: `${array[i + gap]} > ${array[i]}, swapping across the gap.`
+                });
+            }
+        }
+    }
+    
+    markSorted(steps, 0, n - 1);
+    yield steps.push({
+        type: 'complete',
+        stats: { ...stats },
+        ...stabilityReport(array),
+        description: `Comb Sort complete after ${pass} passes.`
+    });
+    
+    return steps;
+}
+
+// CPython uses 64; a smaller threshold keeps several runs visible on small arrays
+const TIMSORT_MIN_MERGE = 8;
+const TIMSORT_MIN_GALLOP = 7;
+
+/**
+ * Compute Timsort's minimum run length: n halved until below MIN_MERGE,
+ * plus one if any bit shifted out was set
+ * @param {number} n - Array length
+ * @returns {number} Minimum run length
+ */
+function timsortMinRun(n) {
+    let r = 0;
+    while (n >= TIMSORT_MIN_MERGE) {
+        r |= n & 1;
+        n >>= 1;
+    }
+    return n + r;
+}
+
+/**
+ * Generate animation steps for Timsort
+ * @param {number[]} arr - Array to sort
+ * @yields {StepLog} Animation steps, one step per yield
+ */
+export function* timSort(arr) {
+    const array = [...arr];
+    const steps = new StepLog({ array, sorted: new Set() });
+    const stats = createStats();
+    const n = array.length;
+    const minRun = timsortMinRun(n);
+    const runStack = [];
+    let minGallop = TIMSORT_MIN_GALLOP;
+    let scanned = 0;
+    // Pseudocode line of the merges in progress: invariant repairs, then the final collapse
+    let mergeLine = 9;
+    
+    // Snapshot of the pending runs, bottom first, and their left edges
+    const pending = () => runStack.map(run => ({ ...run }));
+    const runBoundaries = () => [...runStack.map(run => run.base), scanned].filter(i => i > 0 && i < n);
+    
+    /**
+     * Count how many elements from one end of a sorted slice pass `test`,
+     * probing 1, 2, 4, ... positions out and then binary searching
+     */
+    function gallopCount(source, start, len, fromRight, test) {
+        const check = offset => {
+            stats.comparisons++;
+            return test(source[fromRight ? start + len - 1 - offset : start + offset]);
+        };
+        
+        let lastPass = -1;
+        let probe = 0;
+        while (probe < len && check(probe)) {
+            lastPass = probe;
+            probe = probe * 2 + 1;
+        }
+        
+        let firstFail = Math.min(probe, len);
+        while (firstFail - lastPass > 1) {
+            const mid = (lastPass + firstFail) >> 1;
+            if (check(mid)) {
+                lastPass = mid;
+            } else {
+                firstFail = mid;
+            }
+        }
+        return firstFail;
+    }
+    
+    yield steps.push({
+        type: 'init',
+        line: 2,
+        stats: { ...stats },
+        runStack: pending(),
+        description: `Starting Timsort on ${n} elements. minrun = ${minRun}: shorter natural runs are extended with binary insertion.`
+    });
+    
+    while (scanned < n) {
+        const lo = scanned;
+        let hi = lo + 1;
+        let descending = false;
+        
+        // Natural run detection: non-descending, or strictly descending (reversed in place)
+        if (hi < n) {
+            stats.comparisons++;
+            descending = array[hi] < array[lo];
+            hi++;
+            while (hi < n) {
+                stats.comparisons++;
+                if (descending ? array[hi] < array[hi - 1] : array[hi] >= array[hi - 1]) {
+                    hi++;
+                } else {
+                    break;
+                }
+            }
+        }
+        
+        yield steps.push({
+            type: 'run',
+            line: 4,
+            stats: { ...stats },
+            runStack: pending(),
+            boundaries: runBoundaries(),
+            range: [lo, hi - 1],
+            indices: Array.from({ length: hi - lo }, (_, idx) => lo + idx),
+            description: descending
+                ? `Found a strictly descending run of ${hi - lo} at [${lo}...${hi - 1}]. Reversing it in place.`
+                : `Found a natural ascending run of ${hi - lo} at [${lo}...${hi - 1}].`
+        });
+        
+        if (descending) {
+            for (let i = lo, j = hi - 1; i < j; i++, j--) {
+                steps.swap('array', i, j);
+                stats.swaps++;
+                stats.writes += 2;
+            }
+            
+            yield steps.push({
+                type: 'swap',
+                line: 4,
+                stats: { ...stats },
+                runStack: pending(),
+                boundaries: runBoundaries(),
+                range: [lo, hi - 1],
+                indices: Array.from({ length: hi - lo }, (_, idx) => lo + idx),
+                description: `Reversed [${lo}...${hi - 1}] into an ascending run.`
+            });
+        }
+        
+        // Extend short runs to minrun with binary insertion
+        const force = Math.min(minRun, n - lo);
+        if (hi - lo < force) {
+            yield steps.push({
+                type: 'extend',
+                line: 5,
+                stats: { ...stats },
+                runStack: pending(),
+                boundaries: runBoundaries(),
+                range: [lo, lo + force - 1],
+                description: `Run of ${hi - lo} is shorter than minrun ${minRun}. Extending it to ${force} with binary insertion.`
+            });
+            
+            for (let i = hi; i < lo + force; i++) {
+                const key = array[i];
+                let left = lo;
+                let right = i;
+                
+                while (left < right) {
+                    const mid = (left + right) >> 1;
+                    stats.comparisons++;
+                    yield steps.push({
+                        type: 'compare',
+                        line: 6,
+                        stats: { ...stats },
+                        runStack: pending(),
+                        boundaries: runBoundaries(),
+                        range: [lo, i],
+                        indices: [mid, i],
+                        description: `Binary search for ${key} in [${left}...${right - 1}]: comparing with ${array[mid]} at index ${mid}.`
+                    });
+                    
+                    if (key < array[mid]) {
+                        right = mid;
+                    } else {
+                        left = mid + 1;
+                    }
+                }
+                
+                for (let k = i; k > left; k--) {
+                    steps.set('array', k, array[k - 1]);
+                    stats.writes++;
+                }
+                steps.set('array', left, key);
+                stats.writes++;
+                
+                yield steps.push({
+                    type: 'insert',
+                    line: 6,
+                    stats: { ...stats },
+                    runStack: pending(),
+                    boundaries: runBoundaries(),
+                    range: [lo, i],
+                    indices: [left],
+                    description: `Inserted ${key} at index ${left}, shifting ${i - left} elements right.`
+                });
+            }
+            hi = lo + force;
+        }
+        
+        runStack.push({ base: lo, len: hi - lo });
+        scanned = hi;
+        
+        yield steps.push({
+            type: 'push-run',
+            line: 7,
+            stats: { ...stats },
+            runStack: pending(),
+            boundaries: runBoundaries(),
+            range: [lo, hi - 1],
+            description: `Pushed run [${lo}...${hi - 1}] (length ${hi - lo}) onto the run stack.`
+        });
+        
+        yield* mergeCollapse();
+    }
+    
+    // Merge whatever is left, always pairing the smaller neighbour with the second run
+    mergeLine = 10;
+    while (runStack.length > 1) {
+        let k = runStack.length - 2;
+        if (k > 0 && runStack[k - 1].len < runStack[k + 1].len) k--;
+        
+        yield steps.push({
+            type: 'invariant',
+            line: 10,
+            stats: { ...stats },
+            runStack: pending(),
+            mergingRuns: [k, k + 1],
+            boundaries: runBoundaries(),
+            description: `Input exhausted. Merging the remaining ${runStack.length} runs from the top of the stack.`
+        });
+        
+        yield* mergeAt(k);
+    }
+    
+    /**
+     * Restore the run stack invariants for the top three runs A, B, C:
+     * |A| > |B| + |C| and |B| > |C|
+     */
+    function* mergeCollapse() {
+        while (runStack.length > 1) {
+            let k = runStack.length - 2;
+            const len = i => runStack[i].len;
+            let reason;
+            
+            if ((k > 0 && len(k - 1) <= len(k) + len(k + 1)) ||
+                (k > 1 && len(k - 2) <= len(k - 1) + len(k))) {
+                reason = k > 0 && len(k - 1) <= len(k) + len(k + 1)
+                    ? `|A| = ${len(k - 1)} ≤ |B| + |C| = ${len(k) + len(k + 1)}`
+                    : `a deeper run (${len(k - 2)}) ≤ the two above it (${len(k - 1) + len(k)})`;
+                if (len(k - 1) < len(k + 1)) k--;
+            } else if (len(k) <= len(k + 1)) {
+                reason = `|B| = ${len(k)} ≤ |C| = ${len(k + 1)}`;
+            } else {
+                break;
+            }
+            
+            yield steps.push({
+                type: 'invariant',
+                line: [8, 9],
+                stats: { ...stats },
+                runStack: pending(),
+                mergingRuns: [k, k + 1],
+                boundaries: runBoundaries(),
+                description: `Run stack invariant broken: ${reason}. Merging runs of ${len(k)} and ${len(k + 1)}.`
+            });
+            
+            yield* mergeAt(k);
+        }
+    }
+    
+    /**
+     * Merge runs k and k + 1 of the stack
+     */
+    function* mergeAt(k) {
+        let { base: base1, len: len1 } = runStack[k];
+        let { base: base2, len: len2 } = runStack[k + 1];
+        const mergedEnd = base2 + len2 - 1;
+        const mergingRuns = [k, k + 1];
+        
+        // Elements of A no greater than B's first are already in place
+        const skipHead = gallopCount(array, base1, len1, false, value => value <= array[base2]);
+        // Elements of B no smaller than A's last are already in place
+        const skipTail = skipHead < len1 ? gallopCount(array, base2, len2, true, value => value >= array[base1 + len1 - 1]) : 0;
+        
+        yield steps.push({
+            type: 'gallop',
+            line: 11,
+            stats: { ...stats },
+            runStack: pending(),
+            mergingRuns: mergingRuns,
+            boundaries: runBoundaries(),
+            range: [base1, mergedEnd],
+            indices: [
+                ...Array.from({ length: skipHead }, (_, idx) => base1 + idx),
+                ...Array.from({ length: skipTail }, (_, idx) => mergedEnd - idx)
+            ],
+            description: skipHead === len1
+                ? `Galloping: all of A is ≤ ${array[base2]}, the first element of B. The runs are already in order.`
+                : `Galloping: the first ${skipHead} of A and last ${skipTail} of B are already in place and are left out of the merge.`
+        });
+        
+        base1 += skipHead;
+        len1 -= skipHead;
+        len2 -= skipTail;
+        if (len1 === 0 || len2 === 0) {
+            yield* mergeFinished(base1 - skipHead, mergedEnd, k);
+            return;
+        }
+        
+        if (len1 <= len2) {
+            yield* mergeLo(base1, len1, base2, len2, mergingRuns);
+        } else {
+            yield* mergeHi(base1, len1, base2, len2, mergingRuns);
+        }
+        
+        yield* mergeFinished(base1 - skipHead, mergedEnd, k);
+    }
+    
+    /**
+     * Merge left to right, with the shorter run A copied into a temporary buffer
+     */
+    function* mergeLo(base1, len1, base2, len2, mergingRuns) {
+        const tmp = array.slice(base1, base1 + len1);
+        const end2 = base2 + len2;
+        const range = [base1, end2 - 1];
+        let c1 = 0;
+        let c2 = base2;
+        let dest = base1;
+        stats.auxiliary = len1;
+        
+        const buffer = (consumed = c1) => [{ type: 'buffer', title: `Run A copy (${len1})`, values: tmp, active: c1 < len1 ? c1 : null, consumed: consumed }];
+        
+        yield steps.push({
+            type: 'merge-start',
+            line: mergeLine,
+            stats: { ...stats },
+            runStack: pending(),
+            mergingRuns: mergingRuns,
+            range: range,
+            auxiliary: buffer(),
+            description: `Merging low: A (${len1}) is shorter, so it is copied out and the merge fills [${base1}...${end2 - 1}] from the left.`
+        });
+        
+        while (c1 < len1 && c2 < end2) {
+            let winsA = 0;
+            let winsB = 0;
+            
+            // One pair at a time until one run wins minGallop times in a row
+            while (c1 < len1 && c2 < end2 && winsA < minGallop && winsB < minGallop) {
+                stats.comparisons++;
+                const takeB = array[c2] < tmp[c1];
+                const value = takeB ? array[c2++] : tmp[c1++];
+                steps.set('array', dest, value);
+                stats.writes++;
+                
+                if (takeB) {
+                    winsB++;
+                    winsA = 0;
+                } else {
+                    winsA++;
+                    winsB = 0;
+                }
+                
+                yield steps.push({
+                    type: 'place',
+                    line: mergeLine,
+                    stats: { ...stats },
+                    runStack: pending(),
+                    mergingRuns: mergingRuns,
+                    range: range,
+                    indices: [dest],
+                    auxiliary: buffer(),
+                    description: `Placed ${value} from ${takeB ? 'B' : 'A'} at index ${dest}. ${takeB ? 'B' : 'A'} has won ${takeB ? winsB : winsA} in a row.`
+                });
+                dest++;
+            }
+            
+            if (c1 >= len1 || c2 >= end2) break;
+            
+            // Galloping mode: copy whole blocks while galloping keeps paying off
+            let countA;
+            let countB;
+            do {
+                const headB = array[c2];
+                countA = gallopCount(tmp, c1, len1 - c1, false, value => value <= headB);
+                for (let i = 0; i < countA; i++) {
+                    steps.set('array', dest + i, tmp[c1 + i]);
+                }
+                stats.writes += countA;
+                
+                yield steps.push({
+                    type: 'gallop',
+                    line: 11,
+                    stats: { ...stats },
+                    runStack: pending(),
+                    mergingRuns: mergingRuns,
+                    range: range,
+                    indices: Array.from({ length: countA }, (_, idx) => dest + idx),
+                    auxiliary: buffer(c1 + countA),
+                    description: `Galloping: copied a block of ${countA} from A, all ≤ ${headB}.`
+                });
+                c1 += countA;
+                dest += countA;
+                if (c1 >= len1) break;
+                
+                const headA = tmp[c1];
+                countB = gallopCount(array, c2, end2 - c2, false, value => value < headA);
+                for (let i = 0; i < countB; i++) {
+                    steps.set('array', dest + i, array[c2 + i]);
+                }
+                stats.writes += countB;
+                
+                yield steps.push({
+                    type: 'gallop',
+                    line: 11,
+                    stats: { ...stats },
+                    runStack: pending(),
+                    mergingRuns: mergingRuns,
+                    range: range,
+                    indices: Array.from({ length: countB }, (_, idx) => dest + idx),
+                    auxiliary: buffer(),
+                    description: `Galloping: moved a block of ${countB} from B, all < ${headA}.`
+                });
+                c2 += countB;
+                dest += countB;
+                if (c2 >= end2) break;
+                
+                minGallop = Math.max(1, minGallop - 1);
+            } while (countA >= TIMSORT_MIN_GALLOP || countB >= TIMSORT_MIN_GALLOP);
+            
+            // Galloping stopped paying off; make it harder to re-enter
+            minGallop++;
+        }
+        
+        // B already sits at the end, so only leftovers of A need copying back
+        while (c1 < len1) {
+            steps.set('array', dest++, tmp[c1++]);
+            stats.writes++;
+        }
+    }
+    
+    /**
+     * Merge right to left, with the shorter run B copied into a temporary buffer
+     */
+    function* mergeHi(base1, len1, base2, len2, mergingRuns) {
+        const tmp = array.slice(base2, base2 + len2);
+        const range = [base1, base2 + len2 - 1];
+        let c1 = base1 + len1 - 1;
+        let c2 = len2 - 1;
+        let dest = base2 + len2 - 1;
+        stats.auxiliary = len2;
+        
+        const buffer = (consumed = len2 - 1 - c2) => [{ type: 'buffer', title: `Run B copy (${len2})`, values: tmp, active: c2 >= 0 ? c2 : null, consumed: consumed, fromEnd: true }];
+        
+        yield steps.push({
+            type: 'merge-start',
+            line: mergeLine,
+            stats: { ...stats },
+            runStack: pending(),
+            mergingRuns: mergingRuns,
+            range: range,
+            auxiliary: buffer(),
+            description: `Merging high: B (${len2}) is shorter, so it is copied out and the merge fills [${base1}...${range[1]}] from the right.`
+        });
+        
+        while (c1 >= base1 && c2 >= 0) {
+            let winsA = 0;
+            let winsB = 0;
+            
+            // Taking B on ties keeps equal elements in their original order
+            while (c1 >= base1 && c2 >= 0 && winsA < minGallop && winsB < minGallop) {
+                stats.comparisons++;
+                const takeA = array[c1] > tmp[c2];
+                const value = takeA ? array[c1--] : tmp[c2--];
+                steps.set('array', dest, value);
+                stats.writes++;
+                
+                if (takeA) {
+                    winsA++;
+                    winsB = 0;
+                } else {
+                    winsB++;
+                    winsA = 0;
+                }
+                
+                yield steps.push({
+                    type: 'place',
+                    line: mergeLine,
+                    stats: { ...stats },
+                    runStack: pending(),
+                    mergingRuns: mergingRuns,
+                    range: range,
+                    indices: [dest],
+                    auxiliary: buffer(),
+                    description: `Placed ${value} from ${takeA ? 'A' : 'B'} at index ${dest}. ${takeA ? 'A' : 'B'} has won ${takeA ? winsA : winsB} in a row.`
+                });
+                dest--;
+            }
+            
+            if (c1 < base1 || c2 < 0) break;
+            
+            let countA;
+            let countB;
+            do {
+                const tailB = tmp[c2];
+                countA = gallopCount(array, base1, c1 - base1 + 1, true, value => value > tailB);
+                for (let i = 0; i < countA; i++) {
+                    steps.set('array', dest - i, array[c1 - i]);
+                }
+                stats.writes += countA;
+                
+                yield steps.push({
+                    type: 'gallop',
+                    line: 11,
+                    stats: { ...stats },
+                    runStack: pending(),
+                    mergingRuns: mergingRuns,
+                    range: range,
+                    indices: Array.from({ length: countA }, (_, idx) => dest - idx),
+                    auxiliary: buffer(),
+                    description: `Galloping: moved a block of ${countA} from A, all > ${tailB}.`
+                });
+                c1 -= countA;
+                dest -= countA;
+                if (c1 < base1) break;
+                
+                const tailA = array[c1];
+                countB = gallopCount(tmp, 0, c2 + 1, true, value => value >= tailA);
+                for (let i = 0; i < countB; i++) {
+                    steps.set('array', dest - i, tmp[c2 - i]);
+                }
+                stats.writes += countB;
+                
+                yield steps.push({
+                    type: 'gallop',
+                    line: 11,
+                    stats: { ...stats },
+                    runStack: pending(),
+                    mergingRuns: mergingRuns,
+                    range: range,
+                    indices: Array.from({ length: countB }, (_, idx) => dest - idx),
+                    auxiliary: buffer(len2 - 1 - c2 + countB),
+                    description: `Galloping: copied a block of ${countB} from B, all ≥ ${tailA}.`
+                });
+                c2 -= countB;
+                dest -= countB;
+                if (c2 < 0) break;
+                
+                minGallop = Math.max(1, minGallop - 1);
+            } while (countA >= TIMSORT_MIN_GALLOP || countB >= TIMSORT_MIN_GALLOP);
+            
+            minGallop++;
+        }
+        
+        // A already sits at the start, so only leftovers of B need copying back
+        while (c2 >= 0) {
+            steps.set('array', dest--, tmp[c2--]);
+            stats.writes++;
+        }
+    }
+    
+    /**
+     * Record the merged run once both merge directions are done
+     */
+    function* mergeFinished(start, end, k) {
+        runStack[k] = { base: start, len: end - start + 1 };
+        runStack.splice(k + 1, 1);
+        stats.auxiliary = 0;
+        yield steps.push({
+            type: 'merge-complete',
+            line: mergeLine,
+            stats: { ...stats },
+            runStack: pending(),
+            mergingRuns: [k],
+            boundaries: runBoundaries(),
+            range: [start, end],
+            description: `Merged [${start}...${end}] into one run of ${end - start + 1}. minGallop is now ${minGallop}.`
+        });
+    }
+    
+    markSorted(steps, 0, n - 1);
+    yield steps.push({
+        type: 'complete',
+        stats: { ...stats },
+        ...stabilityReport(array),
+        runStack: pending(),
+        description: 'Timsort complete! Every run has been merged into one.'
+    });
+    
+    return steps;
+}
+
+/*
+ * Sorting networks are fixed sequences of comparators, independent of the data.
+ * Their steps carry the whole `network` ({ wires, layers }) where each layer is
+ * a list of comparators { min, max } that can run in parallel; after a
+ * comparator the smaller value sits on wire `min`. Each 'exchange' step applies
+ * one full layer and lists its comparators with a `swapped` flag.
+ */
+
+/**
+ * Group comparators into parallel layers, placing each as early as the wires it
+ * touches allow
+ * @param {number} wires - Number of wires
+ * @param {Array} comparators - Comparators { min, max } in execution order
+ * @returns {Array} Layers of comparators
+ */
+function layerComparators(wires, comparators) {
+    const ready = new Array(wires).fill(0);
+    const layers = [];
+    
+    comparators.forEach(comparator => {
+        const layer = Math.max(ready[comparator.min], ready[comparator.max]);
+        if (!layers[layer]) layers[layer] = [];
+        layers[layer].push(comparator);
+        ready[comparator.min] = layer + 1;
+        ready[comparator.max] = layer + 1;
+    });
+    
+    return layers;
+}
+
+/**
+ * Run an input through a sorting network one parallel layer per step
+ * @param {Array} arr - Array to sort
+ * @param {Array} comparators - Comparators { min, max } in execution order
+ * @param {string} name - Network name for descriptions
+ * @param {number} exchangeLine - Pseudocode line of a compare-exchange
+ * @yields {StepLog} Animation steps, one step per yield
+ */
+function* networkSteps(arr, comparators, name, exchangeLine) {
+    const array = [...arr];
+    const steps = new StepLog({ array, sorted: new Set() });
+    const stats = createStats();
+    const n = array.length;
+    const network = { wires: n, layers: layerComparators(n, comparators) };
+    
+    yield steps.push({
+        type: 'init',
+        line: 1,
+        stats: { ...stats },
+        network: network,
+        layer: -1,
+        description: `Starting ${name}: ${comparators.length} comparators in ${network.layers.length} parallel layers on ${n} wires.`
+    });
+    
+    for (const [index, layer] of network.layers.entries()) {
+        const exchanges = layer.map(({ min, max }) => {
+            stats.comparisons++;
+            const swapped = array[min] > array[max];
+            if (swapped) {
+                steps.swap('array', min, max);
+                stats.swaps++;
+                stats.writes += 2;
+            }
+            return { min, max, swapped };
+        });
+        const swappedCount = exchanges.filter(exchange => exchange.swapped).length;
+        
+        yield steps.push({
+            type: 'exchange',
+            line: exchangeLine,
+            stats: { ...stats },
+            network: network,
+            layer: index,
+            exchanges: exchanges,
+            indices: exchanges.flatMap(({ min, max }) => [min, max]),
+            description: `Layer ${index + 1} of ${network.layers.length}: ${exchanges.length} compare-exchanges in parallel, ${swappedCount} swapped.`
+        });
+    }
+    
+    markSorted(steps, 0, n - 1);
+    yield steps.push({
+        type: 'complete',
+        stats: { ...stats },
+        ...stabilityReport(array),
+        network: network,
+        layer: network.layers.length,
+        description: `${name} complete! Depth ${network.layers.length}, the same for every input of this size.`
+    });
+    
+    return steps;
+}
+
+/**
+ * Generate animation steps for Bitonic Sort. Uses the variant that works for any
+ * length by splitting merges at the largest power of two below n.
+ * @param {number[]} arr - Array to sort
+ * @yields {StepLog} Animation steps, one step per yield
+ */
+export function* bitonicSort(arr) {
+    const comparators = [];
+    
+    // ascending puts the smaller value on the lower wire
+    const compare = (i, j, ascending) => {
+        comparators.push(ascending ? { min: i, max: j } : { min: j, max: i });
+    };
+    
+    function merge(lo, n, ascending) {
+        if (n <= 1) return;
+        let m = 1;
+        while (m * 2 < n) m *= 2;
+        for (let i = lo; i < lo + n - m; i++) {
+            compare(i, i + m, ascending);
+        }
+        merge(lo, m, ascending);
+        merge(lo + m, n - m, ascending);
+    }
+    
+    function sort(lo, n, ascending) {
+        if (n <= 1) return;
+        const m = Math.floor(n / 2);
+        sort(lo, m, !ascending);
+        sort(lo + m, n - m, ascending);
+        merge(lo, n, ascending);
+    }
+    
+    sort(0, arr.length, true);
+    return yield* networkSteps(arr, comparators, 'Bitonic Sort', 12);
+}
+
+/**
+ * Generate animation steps for Batcher's odd-even merge sort, in the
+ * merge-exchange form (Knuth, Algorithm 5.2.2M) that works for any length
+ * @param {number[]} arr - Array to sort
+ * @yields {StepLog} Animation steps, one step per yield
+ */
+export function* oddEvenMergeSort(arr) {
+    const comparators = [];
+    const n = arr.length;
+    const t = Math.ceil(Math.log2(Math.max(n, 2)));
+    
+    for (let p = 2 ** (t - 1); p > 0; p = Math.floor(p / 2)) {
+        let q = 2 ** (t - 1);
+        let r = 0;
+        let d = p;
+        
+        while (d > 0) {
+            for (let i = 0; i < n - d; i++) {
+                if ((i & p) === r) {
+                    comparators.push({ min: i, max: i + d });
+                }
+            }
+            d = q - p;
+            q = Math.floor(q / 2);
+            r = p;
+        }
+    }
+    
+    return yield* networkSteps(arr, comparators, "Batcher's Odd-Even Merge Sort", 8);
+}
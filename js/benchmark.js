@@ -0,0 +1,256 @@
+/**
+ * Benchmark Page Entry Point
+ * Runs sorting step generators headlessly and charts their operation counts
+ */
+
+import { STEP_GENERATORS } from './algorithms/registry.js';
+import { GenerationController } from './controllers/generationController.js';
+import { BenchmarkChart } from './visualizers/benchmarkChart.js';
+import { generateArray, delay } from './utils/helpers.js';
+import { growthCurve, fitConstant, summaryCounts, toCSV } from './utils/benchmark.js';
+import { ALGORITHM_INFO } from './utils/constants.js';
+
+const DISTRIBUTIONS = {
+    'random': 'Random',
+    'nearly-sorted': 'Nearly Sorted',
+    'reversed': 'Reversed',
+    'few-unique': 'Few Unique',
+    'all-equal': 'All Equal',
+    'sawtooth': 'Sawtooth',
+    'organ-pipe': 'Organ Pipe',
+    'gaussian': 'Gaussian'
+};
+
+const SERIES_COLORS = ['#5b8dee', '#f59e0b', '#10b981', '#ec4899', '#7c3aed', '#ef4444', '#14b8a6', '#eab308'];
+
+/**
+ * Benchmark Page Class
+ */
+class BenchmarkPage {
+    constructor() {
+        this.elements = {
+            algorithms: document.getElementById('bench-algorithms'),
+            distributions: document.getElementById('bench-distributions'),
+            maxSize: document.getElementById('bench-max-size'),
+            metric: document.getElementById('bench-metric'),
+            btnRun: document.getElementById('btn-bench-run'),
+            btnCancel: document.getElementById('btn-bench-cancel'),
+            btnExport: document.getElementById('btn-bench-export'),
+            progress: document.getElementById('bench-progress'),
+            canvas: document.getElementById('bench-canvas'),
+            results: document.getElementById('bench-results')
+        };
+        
+        this.chart = new BenchmarkChart(this.elements.canvas);
+        this.generation = new GenerationController();
+        this.rows = [];
+        this.running = false;
+        this.cancelled = false;
+        
+        this.buildOptions();
+        this.setupEventListeners();
+        this.chart.resize();
+        this.render();
+    }
+    
+    /**
+     * Fill the algorithm and distribution checkbox lists
+     */
+    buildOptions() {
+        const defaults = ['bubble-sort', 'insertion-sort', 'merge-sort', 'quick-sort'];
+        Object.keys(STEP_GENERATORS).filter(id => ALGORITHM_INFO[id].category === 'sorting').forEach(id => {
+            this.elements.algorithms.appendChild(this.createCheckbox(id, ALGORITHM_INFO[id].name, defaults.includes(id)));
+        });
+        
+        Object.entries(DISTRIBUTIONS).forEach(([id, name]) => {
+            this.elements.distributions.appendChild(this.createCheckbox(id, name, id === 'random'));
+        });
+    }
+    
+    /**
+     * Create a labeled checkbox
+     * @param {string} value - Checkbox value
+     * @param {string} text - Label text
+     * @param {boolean} checked - Initial state
+     * @returns {HTMLElement} Label wrapping the checkbox
+     */
+    createCheckbox(value, text, checked) {
+        const label = document.createElement('label');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.value = value;
+        checkbox.checked = checked;
+        label.appendChild(checkbox);
+        label.appendChild(document.createTextNode(text));
+        return label;
+    }
+    
+    /**
+     * Get the checked values of a checkbox list
+     * @param {HTMLElement} container - List container
+     * @returns {string[]} Checked values
+     */
+    getChecked(container) {
+        return Array.from(container.querySelectorAll('input:checked')).map(input => input.value);
+    }
+    
+    /**
+     * Setup all event listeners
+     */
+    setupEventListeners() {
+        this.elements.btnRun.addEventListener('click', () => this.run());
+        
+        this.elements.btnCancel.addEventListener('click', () => {
+            this.cancelled = true;
+            this.generation.cancel();
+        });
+        
+        this.elements.btnExport.addEventListener('click', () => this.exportCSV());
+        
+        this.elements.metric.addEventListener('change', () => this.render());
+        
+        window.addEventListener('resize', () => {
+            this.chart.resize();
+            this.render();
+        });
+    }
+    
+    /**
+     * Measure every selected algorithm and distribution at n = 8, 16, ... up to the maximum size
+     */
+    async run() {
+        if (this.running) return;
+        
+        const algorithms = this.getChecked(this.elements.algorithms);
+        const distributions = this.getChecked(this.elements.distributions);
+        const maxSize = parseInt(this.elements.maxSize.value);
+        const sizes = [];
+        for (let n = 8; n <= maxSize; n *= 2) sizes.push(n);
+        
+        if (algorithms.length === 0 || distributions.length === 0) {
+            this.elements.progress.textContent = 'Select at least one algorithm and one distribution.';
+            return;
+        }
+        
+        this.rows = [];
+        this.running = true;
+        this.cancelled = false;
+        this.updateButtons();
+        
+        const total = algorithms.length * distributions.length * sizes.length;
+        let done = 0;
+        
+        for (const algorithm of algorithms) {
+            for (const distribution of distributions) {
+                for (const n of sizes) {
+                    if (this.cancelled) break;
+                    
+                    this.elements.progress.textContent = `${ALGORITHM_INFO[algorithm].name}, ${DISTRIBUTIONS[distribution]}, n = ${n} (${done + 1} of ${total})`;
+                    
+                    // Counted in a worker that keeps no steps, so any size fits in memory
+                    const summary = await this.generation.measure(algorithm, [generateArray(n, distribution)]);
+                    if (this.cancelled) break;
+                    
+                    this.rows.push({ algorithm, distribution, n, ...summaryCounts(summary) });
+                    done++;
+                    this.render();
+                    
+                    // Let the page repaint between runs
+                    await delay(0);
+                }
+            }
+        }
+        
+        this.elements.progress.textContent = this.cancelled
+            ? `Cancelled after ${done} of ${total} runs.`
+            : `Finished ${total} runs.`;
+        this.running = false;
+        this.updateButtons();
+    }
+    
+    /**
+     * Enable or disable buttons for the running state
+     */
+    updateButtons() {
+        this.elements.btnRun.disabled = this.running;
+        this.elements.btnCancel.disabled = !this.running;
+        this.elements.btnExport.disabled = this.running || this.rows.length === 0;
+    }
+    
+    /**
+     * Redraw the chart and results table for the selected metric
+     */
+    render() {
+        const metric = this.elements.metric.value;
+        const series = [];
+        
+        this.rows.forEach(row => {
+            const label = `${ALGORITHM_INFO[row.algorithm].name} · ${DISTRIBUTIONS[row.distribution]}`;
+            let entry = series.find(item => item.label === label);
+            if (!entry) {
+                entry = { label, algorithm: row.algorithm, color: SERIES_COLORS[series.length % SERIES_COLORS.length], points: [] };
+                series.push(entry);
+            }
+            if (row.status === 'ok') {
+                entry.points.push({ n: row.n, value: row[metric] });
+            }
+        });
+        
+        // Steps are not an operation with a stated complexity, so only counters get a curve
+        series.forEach(entry => {
+            if (metric === 'steps') return;
+            const curve = growthCurve(ALGORITHM_INFO[entry.algorithm].timeAvg);
+            entry.curve = { ...curve, constant: fitConstant(entry.points, curve.fn) };
+        });
+        
+        this.chart.render(series, metric);
+        this.renderTable(metric);
+    }
+    
+    /**
+     * Fill the results table
+     * @param {string} metric - Highlighted counter
+     */
+    renderTable(metric) {
+        const body = this.elements.results.querySelector('tbody');
+        body.innerHTML = '';
+        
+        this.rows.forEach(row => {
+            const tr = document.createElement('tr');
+            const cells = [
+                ALGORITHM_INFO[row.algorithm].name,
+                DISTRIBUTIONS[row.distribution],
+                row.n,
+                row.status === 'ok' ? row[metric].toLocaleString() : row.status
+            ];
+            cells.forEach(text => {
+                const td = document.createElement('td');
+                td.textContent = text;
+                tr.appendChild(td);
+            });
+            body.appendChild(tr);
+        });
+        
+        this.elements.results.querySelector('.metric-heading').textContent = metric;
+    }
+    
+    /**
+     * Download the raw measurements as CSV
+     */
+    exportCSV() {
+        const blob = new Blob([toCSV(this.rows)], { type: 'text/csv' });
+        const link = document.createElement('a');
+        const url = URL.createObjectURL(blob);
+        link.href = url;
+        link.download = 'sorting-benchmark.csv';
+        link.click();
+        
+        // Revoked once the click has been handled; revoking at once can cancel the download
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+}
+
+// Initialize page when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+    window.benchmark = new BenchmarkPage();
+});
@@ -3,66 +3,168 @@
  * Manages playback state and step progression
  */
 
-import { speedToDelay, delay } from '../utils/helpers.js';
+import { speedToStepsPerSecond } from '../utils/helpers.js';
+import { StepLog } from '../utils/stepLog.js';
+import { findBreakpoint } from '../utils/breakpoints.js';
+
+// Steps produced ahead of the one on screen. Generators running on the main
+// thread (no worker) are lazy, so this bounds how far they get ahead of playback.
+const LOOKAHEAD_STEPS = 64;
+
+// Longest gap between frames counted towards playback, so a tab returning from
+// the background does not jump ahead
+const MAX_FRAME_MS = 100;
+
+// Animation frames where the page has them, a 60 Hz timer elsewhere
+const nextFrame = typeof requestAnimationFrame === 'function'
+    ? callback => requestAnimationFrame(callback)
+    : callback => setTimeout(() => callback(performance.now()), 16);
+const cancelFrame = typeof cancelAnimationFrame === 'function'
+    ? id => cancelAnimationFrame(id)
+    : id => clearTimeout(id);
 
 export class AnimationController {
     constructor() {
-        this.steps = [];
+        this.steps = new StepLog();
         this.currentStepIndex = 0;
         this.isPlaying = false;
         this.isPaused = false;
         this.speed = 50;
+        this.direction = 1; // 1 plays forward, -1 in reverse
+        this.breakpoints = []; // Rules that pause playback (see parseBreakpoint)
+        this.frame = null; // Pending animation frame
+        this.lastFrameTime = null;
+        this.stepBudget = 0; // Steps owed to playback, fractional below one step per frame
+        this.endPin = null; // Step a jump to the end landed on before every step had arrived
+        this.playback = null; // Promise returned by play()
+        this.endPlayback = null; // Resolves it
         this.onStepChange = null; // Callback for step updates
+        this.onBreakpoint = null; // Callback (breakpoint, step, index) when playback pauses at one
     }
     
     /**
      * Load algorithm steps
-     * @param {Array} steps - Array of animation steps
+     * @param {StepLog} steps - Recorded animation steps
      */
     loadSteps(steps) {
+        this.stop();
         this.steps = steps;
         this.currentStepIndex = 0;
-        this.isPlaying = false;
-        this.isPaused = false;
+        this.endPin = null;
     }
     
     /**
-     * Get current step
-     * @returns {Object} Current step
+     * Get current step, topping up the look-ahead buffer behind it
+     * @returns {Object|null} Current step, or null past the last step
      */
     getCurrentStep() {
-        return this.steps[this.currentStepIndex] || null;
+        this.steps.produce(this.currentStepIndex + 1 + LOOKAHEAD_STEPS);
+        return this.steps.get(this.currentStepIndex);
     }
     
     /**
-     * Play animation
+     * Play animation, pausing at steps that match a breakpoint. Steps advance on
+     * animation frames; at high speeds several are taken per frame and only the
+     * last one is shown. Calling it during playback switches direction and resumes.
+     * @param {number} direction - 1 to play forward, -1 to play in reverse
+     * @returns {Promise} Resolves when playback stops or reaches the last (or first) step
      */
-    async play() {
-        if (this.isPlaying) return;
+    play(direction = 1) {
+        this.direction = direction;
+        if (this.isPlaying) {
+            this.resume();
+            return this.playback;
+        }
         
         this.isPlaying = true;
         this.isPaused = false;
+        this.playback = new Promise(resolve => {
+            this.endPlayback = resolve;
+        });
+        this.startFrames();
         
-        while (this.isPlaying && this.currentStepIndex < this.steps.length) {
-            if (this.isPaused) {
-                await delay(100);
-                continue;
-            }
+        return this.playback;
+    }
+    
+    /**
+     * Begin requesting frames. The first frame moves on right away instead of
+     * waiting out a full step at slow speeds.
+     */
+    startFrames() {
+        this.stepBudget = 1;
+        this.lastFrameTime = null;
+        this.requestFrame();
+    }
+    
+    /**
+     * Schedule the next playback frame
+     */
+    requestFrame() {
+        if (this.frame !== null) return;
+        this.frame = nextFrame(time => {
+            this.frame = null;
+            this.advance(time);
+        });
+    }
+    
+    /**
+     * Stop requesting playback frames
+     */
+    cancelFrame() {
+        if (this.frame === null) return;
+        cancelFrame(this.frame);
+        this.frame = null;
+    }
+    
+    /**
+     * Playback frame: take the steps the elapsed time pays for, checking each
+     * for breakpoints, then show the one playback ends up on
+     * @param {number} time - Frame timestamp in milliseconds
+     */
+    advance(time) {
+        if (!this.isPlaying || this.isPaused) return;
+        
+        const elapsed = this.lastFrameTime === null ? 0 : Math.min(MAX_FRAME_MS, time - this.lastFrameTime);
+        this.lastFrameTime = time;
+        this.stepBudget += (elapsed * speedToStepsPerSecond(this.speed)) / 1000;
+        
+        const start = this.currentStepIndex;
+        const forward = this.direction > 0;
+        const canMove = () => (forward ? this.steps.has(this.currentStepIndex + 1) : this.currentStepIndex > 0);
+        let breakpoint = null;
+        while (this.stepBudget >= 1 && canMove()) {
+            this.stepBudget--;
+            this.currentStepIndex += this.direction;
             
-            const step = this.getCurrentStep();
-            if (this.onStepChange) {
-                this.onStepChange(step, this.currentStepIndex);
+            breakpoint = findBreakpoint(this.breakpoints, this.steps.peek(this.currentStepIndex));
+            if (breakpoint) break;
+        }
+        
+        const step = this.currentStepIndex !== start ? this.getCurrentStep() : null;
+        if (step && this.onStepChange) {
+            this.onStepChange(step, this.currentStepIndex);
+        }
+        
+        if (breakpoint) {
+            // Stay on the matching step so Resume and Step continue from it
+            this.isPaused = true;
+            if (this.onBreakpoint) {
+                this.onBreakpoint(breakpoint, step, this.currentStepIndex);
             }
-            
-            await delay(speedToDelay(this.speed));
-            
-            this.currentStepIndex++;
+            return;
         }
         
-        if (this.currentStepIndex >= this.steps.length) {
-            this.isPlaying = false;
-            this.currentStepIndex = this.steps.length - 1;
+        if (this.stepBudget >= 1) {
+            if (!forward || this.steps.finished) {
+                this.stop();
+                return;
+            }
+            
+            // Still being generated in the background: wait without saving up steps
+            this.stepBudget = 1;
         }
+        
+        this.requestFrame();
     }
     
     /**
@@ -70,13 +172,16 @@ export class AnimationController {
      */
     pause() {
         this.isPaused = true;
+        this.cancelFrame();
     }
     
     /**
      * Resume animation
      */
     resume() {
+        if (!this.isPaused) return;
         this.isPaused = false;
+        if (this.isPlaying) this.startFrames();
     }
     
     /**
@@ -85,13 +190,19 @@ export class AnimationController {
     stop() {
         this.isPlaying = false;
         this.isPaused = false;
+        this.cancelFrame();
+        
+        if (this.endPlayback) {
+            this.endPlayback();
+            this.endPlayback = null;
+        }
     }
     
     /**
      * Step forward one step
      */
     stepForward() {
-        if (this.currentStepIndex < this.steps.length - 1) {
+        if (this.steps.has(this.currentStepIndex + 1)) {
             this.currentStepIndex++;
             const step = this.getCurrentStep();
             if (this.onStepChange) {
@@ -113,6 +224,51 @@ export class AnimationController {
         }
     }
     
+    /**
+     * Jump straight to a step. The step log rebuilds it from its nearest keyframe,
+     * producing steps up to it first when it lies ahead of the generator.
+     * @param {number} index - Step index, clamped to the loaded steps
+     */
+    seekTo(index) {
+        this.steps.produce(index + 1);
+        if (this.steps.length === 0) return;
+        this.currentStepIndex = Math.max(0, Math.min(this.steps.length - 1, index));
+        const step = this.getCurrentStep();
+        if (this.onStepChange) {
+            this.onStepChange(step, this.currentStepIndex);
+        }
+    }
+    
+    /**
+     * Jump to the first step
+     */
+    seekToStart() {
+        this.seekTo(0);
+    }
+    
+    /**
+     * Jump to the last step produced so far, which is the final step once generation
+     * has finished. Later steps are not forced out of a main-thread generator; steps
+     * still streaming in from the worker are followed through followEnd().
+     */
+    seekToEnd() {
+        this.seekTo(this.steps.length - 1);
+        this.endPin = this.steps.finished ? null : this.currentStepIndex;
+    }
+    
+    /**
+     * Called when more steps arrive: after a jump to the end, move on to the new
+     * last step, unless playback has left the step the jump landed on since
+     */
+    followEnd() {
+        if (this.endPin === null) return;
+        if (this.endPin !== this.currentStepIndex) {
+            this.endPin = null;
+            return;
+        }
+        this.seekToEnd();
+    }
+    
     /**
      * Reset to first step
      */
@@ -138,7 +294,7 @@ export class AnimationController {
      * @returns {boolean}
      */
     isAtEnd() {
-        return this.currentStepIndex >= this.steps.length - 1;
+        return !this.steps.has(this.currentStepIndex + 1) && this.steps.finished;
     }
     
     /**
@@ -150,7 +306,7 @@ export class AnimationController {
     }
     
     /**
-     * Get progress percentage
+     * Get progress percentage, relative to the steps produced so far
      * @returns {number} Progress (0-100)
      */
     getProgress() {
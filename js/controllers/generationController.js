@@ -0,0 +1,207 @@
+/**
+ * Generation Controller
+ * Runs step generators in a Web Worker and streams their steps into a StepLog
+ */
+
+import { STEP_GENERATORS } from '../algorithms/registry.js';
+import { SortRecord, reviveRecords } from '../utils/helpers.js';
+import { StepLog, streamSteps, summarizeSteps } from '../utils/stepLog.js';
+import { buildCaseInput } from '../utils/caseInputs.js';
+
+const WORKER_URL = new URL('../workers/stepWorker.js', import.meta.url);
+
+/**
+ * Check whether generator arguments include records (sorting input built by tagRecords or record parsing)
+ * @param {Array} args - Generator arguments
+ * @returns {boolean}
+ */
+function containsRecords(args) {
+    return args.some(arg => Array.isArray(arg) && arg.some(value => value instanceof SortRecord));
+}
+
+export class GenerationController {
+    constructor() {
+        this.worker = null;
+        this.log = null;
+        this.revive = false; // Whether steps carry records that need their prototypes back
+        this.requester = null; // Settles the one-off request in flight, with null when it is abandoned
+        this.onProgress = null; // Callback (log, first) after each batch of steps
+        this.onError = null; // Callback (message) when a worker fails
+    }
+    
+    /**
+     * Start generating steps, cancelling the job in flight. The log starts empty
+     * and fills as the worker streams every step of the job in batches, so its
+     * length climbs to the final count on its own. Without Web Worker support the
+     * generator runs lazily on the main thread instead, a bounded distance ahead of playback.
+     * @param {string} algorithmId - Algorithm ID
+     * @param {Array} args - Generator arguments (see STEP_GENERATORS)
+     * @returns {StepLog} Steps of the new job
+     */
+    start(algorithmId, args) {
+        this.cancel();
+        
+        const worker = this.spawn();
+        if (!worker) return streamSteps(STEP_GENERATORS[algorithmId](...args));
+        
+        const log = new StepLog();
+        log.source = this;
+        this.worker = worker;
+        this.log = log;
+        this.revive = containsRecords(args);
+        
+        worker.onmessage = ({ data: message }) => this.handleMessage(log, message);
+        worker.onerror = event => this.fail(log, event.message || 'Step worker failed to load.');
+        worker.postMessage({ type: 'start', algorithm: algorithmId, args });
+        
+        return log;
+    }
+    
+    /**
+     * Handle a message from the worker of a job
+     * @param {StepLog} log - Log of the job that sent it
+     * @param {Object} message - Worker message
+     */
+    handleMessage(log, message) {
+        if (log !== this.log) return;
+        
+        switch (message.type) {
+            case 'start':
+                log.channels = this.unpack(message.channels);
+                log.receive([{ fields: this.unpack(message.fields), ops: [] }]);
+                this.notify(log, true);
+                break;
+            case 'batch':
+                log.receive(this.unpack(message.entries));
+                this.notify(log, false);
+                break;
+            case 'done':
+                log.source = null;
+                this.worker.terminate();
+                this.worker = null;
+                this.notify(log, false);
+                break;
+            case 'error':
+                this.fail(log, message.message);
+                break;
+        }
+    }
+    
+    /**
+     * Run a generator to the end in a separate worker, without keeping its steps,
+     * and report its final counts. A newer request or cancel() abandons this one.
+     * @param {string} algorithmId - Algorithm ID
+     * @param {Array} args - Generator arguments
+     * @returns {Promise<Object|null>} { stats, steps } of the run, or null on failure or when abandoned
+     */
+    measure(algorithmId, args) {
+        return this.request(
+            { type: 'measure', algorithm: algorithmId, args },
+            message => (message.type === 'summary' ? { stats: message.stats, steps: message.steps } : null),
+            () => summarizeSteps(STEP_GENERATORS[algorithmId](...args))
+        );
+    }
+    
+    /**
+     * Build the best or worst case input of a sort in a separate worker, since
+     * some are found by replaying the sort many times. A newer request or cancel() abandons this one.
+     * @param {string} algorithmId - Sorting algorithm ID
+     * @param {string} kind - 'best' or 'worst'
+     * @param {number} size - Array length
+     * @param {Object} options - Algorithm options
+     * @returns {Promise<Object|null>} { values, description }, or null when there is none, on failure or when abandoned
+     */
+    buildCase(algorithmId, kind, size, options) {
+        return this.request(
+            { type: 'case', algorithm: algorithmId, kind, size, options },
+            message => (message.type === 'case' ? message.input : null),
+            () => buildCaseInput(algorithmId, kind, size, options)
+        );
+    }
+    
+    /**
+     * Send a one-off request to a worker of its own, abandoning the one in flight.
+     * Without Web Worker support the request is answered on the main thread.
+     * @param {Object} message - Request for the worker
+     * @param {Function} read - (reply message) => result
+     * @param {Function} fallback - () => result, computed locally
+     * @returns {Promise<*>} Result, or null on failure or when abandoned
+     */
+    request(message, read, fallback) {
+        if (this.requester) this.requester(null);
+        
+        const worker = this.spawn();
+        if (!worker) return Promise.resolve(fallback());
+        
+        return new Promise(resolve => {
+            const finish = result => {
+                worker.terminate();
+                if (this.requester === finish) this.requester = null;
+                resolve(result);
+            };
+            this.requester = finish;
+            
+            worker.onmessage = ({ data: reply }) => finish(read(reply));
+            worker.onerror = () => finish(null);
+            worker.postMessage(message);
+        });
+    }
+    
+    /**
+     * Stop the job in flight. Its log keeps the steps received so far and is marked finished.
+     */
+    cancel() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        if (this.requester) this.requester(null);
+        if (this.log) {
+            this.log.source = null;
+            this.log = null;
+        }
+    }
+    
+    /**
+     * Create a step worker
+     * @returns {Worker|null} Module worker, or null when the browser cannot start one
+     */
+    spawn() {
+        if (typeof Worker === 'undefined') return null;
+        
+        try {
+            return new Worker(WORKER_URL, { type: 'module' });
+        } catch (error) {
+            return null;
+        }
+    }
+    
+    /**
+     * Restore records in data received from the worker, when the job has any
+     * @param {*} data - Cloned message data
+     * @returns {*} Data ready for the renderers
+     */
+    unpack(data) {
+        return this.revive ? reviveRecords(data) : data;
+    }
+    
+    /**
+     * Report new steps
+     * @param {StepLog} log - Log that received them
+     * @param {boolean} first - Whether these are the job's first steps
+     */
+    notify(log, first) {
+        if (this.onProgress) this.onProgress(log, first);
+    }
+    
+    /**
+     * Abandon a job after a worker error
+     * @param {StepLog} log - Log of the failed job
+     * @param {string} message - Error description
+     */
+    fail(log, message) {
+        if (log !== this.log) return;
+        this.cancel();
+        if (this.onError) this.onError(message);
+    }
+}
@@ -3,7 +3,8 @@
  * Manages DOM updates and user interactions
  */
 
-import { ALGORITHM_INFO, LEGEND_ITEMS } from '../utils/constants.js';
+import { ALGORITHM_INFO, LEGEND_ITEMS, BREAKPOINT_EXAMPLES, KEYBOARD_SHORTCUTS } from '../utils/constants.js';
+import { speedToStepsPerSecond, formatStepRate } from '../utils/helpers.js';
 
 export class UIController {
     constructor() {
@@ -14,6 +15,8 @@ export class UIController {
             timeBest: document.getElementById('time-best'),
             timeAvg: document.getElementById('time-avg'),
             timeWorst: document.getElementById('time-worst'),
+            bestCaseCounts: document.getElementById('best-case-counts'),
+            worstCaseCounts: document.getElementById('worst-case-counts'),
             spaceComplexity: document.getElementById('space-complexity'),
             useCase: document.getElementById('use-case-text'),
             
@@ -21,31 +24,87 @@ export class UIController {
             stepExplanation: document.getElementById('step-explanation'),
             pseudocode: document.getElementById('pseudocode'),
             
+            // Breakpoints
+            breakpointKind: document.getElementById('breakpoint-kind'),
+            breakpointInput: document.getElementById('breakpoint-input'),
+            btnAddBreakpoint: document.getElementById('btn-add-breakpoint'),
+            breakpointList: document.getElementById('breakpoint-list'),
+            breakpointStatus: document.getElementById('breakpoint-status'),
+            
+            // Operation counters
+            statComparisons: document.getElementById('stat-comparisons'),
+            statSwaps: document.getElementById('stat-swaps'),
+            statWrites: document.getElementById('stat-writes'),
+            statAuxiliary: document.getElementById('stat-auxiliary'),
+            
             // Legend
             legendItems: document.getElementById('legend-items'),
             
             // Controls
+            btnReverse: document.getElementById('btn-reverse'),
             btnPlay: document.getElementById('btn-play'),
             btnPause: document.getElementById('btn-pause'),
+            btnStepBack: document.getElementById('btn-step-back'),
             btnStep: document.getElementById('btn-step'),
             btnReset: document.getElementById('btn-reset'),
             speedSlider: document.getElementById('speed-slider'),
             speedValue: document.getElementById('speed-value'),
+            btnShortcuts: document.getElementById('btn-shortcuts'),
+            shortcutSheet: document.getElementById('shortcut-sheet'),
+            shortcutList: document.getElementById('shortcut-list'),
+            generationStatus: document.getElementById('generation-status'),
+            timelineSlider: document.getElementById('timeline-slider'),
+            timelineMarks: document.getElementById('timeline-marks'),
+            timelineLabel: document.getElementById('timeline-label'),
             
             // Configuration
             algorithmSelect: document.getElementById('algorithm-select'),
             dataSize: document.getElementById('data-size'),
             sizeValue: document.getElementById('size-value'),
+            distributionOptions: document.getElementById('distribution-options'),
+            distributionSelect: document.getElementById('distribution-select'),
+            gridSizeOptions: document.getElementById('grid-size-options'),
+            gridSizeSelect: document.getElementById('grid-size'),
+            customArrayOptions: document.getElementById('custom-array-options'),
+            customArrayInput: document.getElementById('custom-array-input'),
+            btnApplyArray: document.getElementById('btn-apply-array'),
+            recordsOptions: document.getElementById('records-options'),
+            recordsToggle: document.getElementById('records-toggle'),
+            recordsPanel: document.getElementById('records-panel'),
+            recordsInput: document.getElementById('records-input'),
+            sortKeysInput: document.getElementById('sort-keys-input'),
+            labelFieldInput: document.getElementById('label-field-input'),
+            btnApplyRecords: document.getElementById('btn-apply-records'),
+            caseOptions: document.getElementById('case-options'),
+            btnBestCase: document.getElementById('btn-best-case'),
+            btnWorstCase: document.getElementById('btn-worst-case'),
+            stabilityOptions: document.getElementById('stability-options'),
+            stabilityToggle: document.getElementById('stability-toggle'),
+            viewModeOptions: document.getElementById('view-mode-options'),
+            viewModeSelect: document.getElementById('view-mode'),
+            raceOptions: document.getElementById('race-options'),
+            raceToggle: document.getElementById('race-toggle'),
+            raceAlgorithms: document.getElementById('race-algorithms'),
+            quickSortOptions: document.getElementById('quick-sort-options'),
+            partitionScheme: document.getElementById('partition-scheme'),
+            pivotStrategy: document.getElementById('pivot-strategy'),
+            shellSortOptions: document.getElementById('shell-sort-options'),
+            gapSequence: document.getElementById('gap-sequence'),
+            combSortOptions: document.getElementById('comb-sort-options'),
+            shrinkFactor: document.getElementById('shrink-factor'),
             
             // Category buttons
             categoryBtns: document.querySelectorAll('.category-btn'),
             
             // Canvas/Grid
             canvas: document.getElementById('visualization-canvas'),
-            gridContainer: document.getElementById('grid-container')
+            gridContainer: document.getElementById('grid-container'),
+            raceContainer: document.getElementById('race-container')
         };
         
         this.currentAlgorithm = null;
+        this.pseudocodeLines = []; // Lines of the pseudocode on display
+        this.highlightedLines = ''; // Those currently highlighted (1-based), joined
     }
     
     /**
@@ -68,6 +127,31 @@ export class UIController {
         
         this.updatePseudocode(info.pseudocode);
         this.updateLegend(info.category);
+        this.updateAlgorithmOptions(algorithmId);
+        this.clearCaseCounts();
+    }
+    
+    /**
+     * Show the operation counts measured on a best or worst case input
+     * @param {string} kind - 'best' or 'worst'
+     * @param {number} size - Input length
+     * @param {Object} stats - Final step stats
+     */
+    showCaseCounts(kind, size, stats) {
+        const element = kind === 'best' ? this.elements.bestCaseCounts : this.elements.worstCaseCounts;
+        element.textContent = `n = ${size}: ${stats.comparisons.toLocaleString()} comparisons · ` +
+            `${stats.swaps.toLocaleString()} swaps · ${stats.writes.toLocaleString()} writes`;
+        element.classList.remove('hidden');
+    }
+    
+    /**
+     * Hide measured best and worst case counts
+     */
+    clearCaseCounts() {
+        [this.elements.bestCaseCounts, this.elements.worstCaseCounts].forEach(element => {
+            element.textContent = '';
+            element.classList.add('hidden');
+        });
     }
     
     /**
@@ -76,25 +160,28 @@ export class UIController {
      */
     updatePseudocode(code) {
         this.elements.pseudocode.innerHTML = `<code>${this.escapeHtml(code)}</code>`;
+        this.pseudocodeLines = code.split('\n');
+        this.highlightedLines = '';
     }
     
     /**
-     * Highlight specific line in pseudocode
-     * @param {number} lineNumber - Line to highlight (1-based)
+     * Highlight the pseudocode lines a step carries out
+     * @param {number|number[]} [lineNumbers] - Line or lines to highlight (1-based); none clears the highlight
      */
-    highlightPseudocodeLine(lineNumber) {
+    highlightPseudocodeLine(lineNumbers) {
         const code = this.elements.pseudocode.querySelector('code');
         if (!code) return;
         
-        const lines = code.textContent.split('\n');
-        const highlightedHtml = lines.map((line, index) => {
-            if (index === lineNumber - 1) {
-                return `<span class="highlight">${this.escapeHtml(line)}</span>`;
-            }
-            return this.escapeHtml(line);
-        }).join('\n');
+        const active = [].concat(lineNumbers ?? []);
+        const key = active.join();
+        if (key === this.highlightedLines) return;
+        this.highlightedLines = key;
         
-        code.innerHTML = highlightedHtml;
+        code.innerHTML = this.pseudocodeLines.map((line, index) => {
+            const text = this.escapeHtml(line);
+            // A highlighted line is a block, which ends the line without a newline
+            return active.includes(index + 1) ? `<span class="highlight">${text}</span>` : `${text}\n`;
+        }).join('');
     }
     
     /**
@@ -130,25 +217,103 @@ export class UIController {
         this.elements.stepExplanation.textContent = text;
     }
     
+    /**
+     * Get the breakpoint typed into the breakpoint panel
+     * @returns {Object} { kind, text }
+     */
+    getBreakpointInput() {
+        return {
+            kind: this.elements.breakpointKind.value,
+            text: this.elements.breakpointInput.value
+        };
+    }
+    
+    /**
+     * Clear the breakpoint input and show an example for the selected kind
+     */
+    resetBreakpointInput() {
+        this.elements.breakpointInput.value = '';
+        this.elements.breakpointInput.placeholder = BREAKPOINT_EXAMPLES[this.elements.breakpointKind.value];
+    }
+    
+    /**
+     * List the active breakpoints, each with a remove button
+     * @param {Object[]} breakpoints - Parsed breakpoints
+     * @param {Object|null} hit - Breakpoint playback last paused at
+     */
+    renderBreakpoints(breakpoints, hit = null) {
+        this.elements.breakpointList.innerHTML = '';
+        
+        breakpoints.forEach((breakpoint, index) => {
+            const item = document.createElement('li');
+            item.classList.toggle('hit', breakpoint === hit);
+            
+            const label = document.createElement('span');
+            label.textContent = breakpoint.label;
+            
+            const remove = document.createElement('button');
+            remove.className = 'breakpoint-remove';
+            remove.dataset.index = index;
+            remove.title = 'Remove breakpoint';
+            remove.textContent = '×';
+            
+            item.appendChild(label);
+            item.appendChild(remove);
+            this.elements.breakpointList.appendChild(item);
+        });
+    }
+    
+    /**
+     * Show which breakpoint paused playback
+     * @param {string|null} text - Status text, or null to hide it
+     */
+    updateBreakpointStatus(text) {
+        this.elements.breakpointStatus.textContent = text || '';
+        this.elements.breakpointStatus.classList.toggle('hidden', !text);
+    }
+    
+    /**
+     * Update operation counters
+     * @param {Object} stats - { comparisons, swaps, writes, auxiliary } or undefined
+     */
+    updateStats(stats) {
+        const format = (value) => (stats ? value.toLocaleString() : '—');
+        
+        this.elements.statComparisons.textContent = format(stats && stats.comparisons);
+        this.elements.statSwaps.textContent = format(stats && stats.swaps);
+        this.elements.statWrites.textContent = format(stats && stats.writes);
+        this.elements.statAuxiliary.textContent = format(stats && stats.auxiliary);
+    }
+    
     /**
      * Update control button states
      * @param {Object} state - Button states
      */
     updateControlButtons(state) {
-        const { isPlaying, isPaused, canStep, canReset } = state;
+        const { isPlaying, isPaused, direction, canStep, canStepBack, canReset } = state;
+        const running = isPlaying && !isPaused;
+        const forward = direction > 0;
         
-        this.elements.btnPlay.disabled = isPlaying && !isPaused;
+        this.elements.btnPlay.disabled = running && forward;
+        this.elements.btnReverse.disabled = (running && !forward) || !canStepBack;
         this.elements.btnPause.disabled = !isPlaying || isPaused;
-        this.elements.btnStep.disabled = isPlaying && !isPaused;
+        this.elements.btnStep.disabled = running || !canStep;
+        this.elements.btnStepBack.disabled = running || !canStepBack;
         this.elements.btnReset.disabled = !canReset;
         
         // Update play/pause button text
-        if (isPlaying && !isPaused) {
+        if (running && forward) {
             this.elements.btnPlay.innerHTML = '<span class="icon">▶</span> Playing...';
         } else {
             this.elements.btnPlay.innerHTML = '<span class="icon">▶</span> Play';
         }
         
+        if (running && !forward) {
+            this.elements.btnReverse.innerHTML = '<span class="icon">◀</span> Reversing...';
+        } else {
+            this.elements.btnReverse.innerHTML = '<span class="icon">◀</span> Reverse';
+        }
+        
         if (isPaused) {
             this.elements.btnPause.innerHTML = '<span class="icon">▶</span> Resume';
         } else {
@@ -156,12 +321,63 @@ export class UIController {
         }
     }
     
+    /**
+     * Fill the keyboard shortcut cheat sheet
+     */
+    buildShortcutSheet() {
+        this.elements.shortcutList.innerHTML = '';
+        
+        KEYBOARD_SHORTCUTS.forEach(({ key, action }) => {
+            const term = document.createElement('dt');
+            const kbd = document.createElement('kbd');
+            kbd.textContent = key;
+            term.appendChild(kbd);
+            
+            const description = document.createElement('dd');
+            description.textContent = action;
+            
+            this.elements.shortcutList.appendChild(term);
+            this.elements.shortcutList.appendChild(description);
+        });
+    }
+    
+    /**
+     * Show or hide the keyboard shortcut cheat sheet
+     * @param {boolean} [visible] - Desired state; toggles when omitted
+     */
+    toggleShortcutSheet(visible) {
+        const show = visible === undefined ? this.elements.shortcutSheet.classList.contains('hidden') : visible;
+        this.elements.shortcutSheet.classList.toggle('hidden', !show);
+        this.elements.btnShortcuts.setAttribute('aria-expanded', String(show));
+    }
+    
+    /**
+     * Show how many steps the background generator has delivered
+     * @param {number|null} count - Steps received so far, or null to clear
+     * @param {boolean} finished - Whether generation is complete
+     */
+    updateGenerationStatus(count, finished = false) {
+        const status = this.elements.generationStatus;
+        
+        if (count === null) {
+            status.textContent = '';
+            status.classList.remove('busy');
+            return;
+        }
+        
+        status.textContent = finished
+            ? `${count.toLocaleString()} steps`
+            : `Generating… ${count.toLocaleString()} steps ready`;
+        status.classList.toggle('busy', !finished);
+    }
+    
     /**
      * Show canvas, hide grid
      */
     showCanvas() {
         this.elements.canvas.classList.remove('hidden');
         this.elements.gridContainer.classList.add('hidden');
+        this.elements.raceContainer.classList.add('hidden');
     }
     
     /**
@@ -170,6 +386,55 @@ export class UIController {
     showGrid() {
         this.elements.canvas.classList.add('hidden');
         this.elements.gridContainer.classList.remove('hidden');
+        this.elements.raceContainer.classList.add('hidden');
+    }
+    
+    /**
+     * Show race panels, hide canvas and grid
+     */
+    showRace() {
+        this.elements.canvas.classList.add('hidden');
+        this.elements.gridContainer.classList.add('hidden');
+        this.elements.raceContainer.classList.remove('hidden');
+    }
+    
+    /**
+     * Populate race mode checkboxes with every sorting algorithm
+     */
+    buildRaceAlgorithmOptions() {
+        const defaults = ['bubble-sort', 'insertion-sort', 'merge-sort', 'quick-sort'];
+        this.elements.raceAlgorithms.innerHTML = '';
+        
+        Object.entries(ALGORITHM_INFO)
+            .filter(([, info]) => info.category === 'sorting')
+            .forEach(([id, info]) => {
+                const label = document.createElement('label');
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.value = id;
+                checkbox.checked = defaults.includes(id);
+                
+                label.appendChild(checkbox);
+                label.appendChild(document.createTextNode(info.name));
+                this.elements.raceAlgorithms.appendChild(label);
+            });
+    }
+    
+    /**
+     * Get algorithms selected for race mode
+     * @returns {string[]} Algorithm IDs
+     */
+    getRaceAlgorithms() {
+        return Array.from(this.elements.raceAlgorithms.querySelectorAll('input:checked'))
+            .map(checkbox => checkbox.value);
+    }
+    
+    /**
+     * Show or hide race algorithm choices
+     * @param {boolean} enabled - Race mode enabled
+     */
+    setRaceMode(enabled) {
+        this.elements.raceAlgorithms.classList.toggle('hidden', !enabled);
     }
     
     /**
@@ -181,11 +446,22 @@ export class UIController {
     }
     
     /**
-     * Update speed display
+     * Update speed display with the playback rate the slider value stands for
      * @param {number} speed - Current speed value
      */
     updateSpeedDisplay(speed) {
-        this.elements.speedValue.textContent = speed;
+        this.elements.speedValue.textContent = formatStepRate(speedToStepsPerSecond(speed));
+    }
+    
+    /**
+     * Move the speed slider
+     * @param {number} speed - New slider value, clamped to its range
+     * @returns {number} Value the slider ended up at
+     */
+    setSpeed(speed) {
+        const slider = this.elements.speedSlider;
+        slider.value = Math.max(parseInt(slider.min), Math.min(parseInt(slider.max), speed));
+        return parseInt(slider.value);
     }
     
     /**
@@ -212,6 +488,131 @@ export class UIController {
         return parseInt(this.elements.speedSlider.value);
     }
     
+    /**
+     * Get selected input distribution
+     * @returns {string} Distribution ID
+     */
+    getDistribution() {
+        return this.elements.distributionSelect.value;
+    }
+    
+    /**
+     * Get the selected grid dimensions for graph and pathfinding algorithms
+     * @returns {Object} { rows, cols }
+     */
+    getGridSize() {
+        const [rows, cols] = this.elements.gridSizeSelect.value.split('x').map(Number);
+        return { rows, cols };
+    }
+    
+    /**
+     * Get custom array text
+     * @returns {string} Raw input text
+     */
+    getCustomArrayText() {
+        return this.elements.customArrayInput.value;
+    }
+    
+    /**
+     * Clear custom array text
+     */
+    clearCustomArrayText() {
+        this.elements.customArrayInput.value = '';
+    }
+    
+    /**
+     * Fill the custom array input
+     * @param {Array} values - Values to show
+     */
+    setCustomArrayText(values) {
+        this.elements.customArrayInput.value = values.join(', ');
+    }
+    
+    /**
+     * Get the record input form
+     * @returns {Object} { text, sortKeys, labelField } raw text of each field
+     */
+    getRecordInput() {
+        return {
+            text: this.elements.recordsInput.value,
+            sortKeys: this.elements.sortKeysInput.value,
+            labelField: this.elements.labelFieldInput.value.trim()
+        };
+    }
+    
+    /**
+     * Show or hide the record input form
+     * @param {boolean} enabled - Record mode enabled
+     */
+    setRecordsMode(enabled) {
+        this.elements.recordsPanel.classList.toggle('hidden', !enabled);
+    }
+    
+    /**
+     * Check whether sorting input should be tagged for stability tracking
+     * @returns {boolean} Stability tags enabled
+     */
+    isStabilityTagging() {
+        return this.elements.stabilityToggle.checked;
+    }
+    
+    /**
+     * Get the selected sort view mode
+     * @returns {string} 'bars', 'dots', 'spectrum' or 'circle'
+     */
+    getViewMode() {
+        return this.elements.viewModeSelect.value;
+    }
+    
+    /**
+     * Get Quick Sort configuration
+     * @returns {Object} Partition scheme and pivot strategy
+     */
+    getQuickSortOptions() {
+        return {
+            partitionScheme: this.elements.partitionScheme.value,
+            pivotStrategy: this.elements.pivotStrategy.value
+        };
+    }
+    
+    /**
+     * Get Shell Sort configuration
+     * @returns {Object} Gap sequence name
+     */
+    getShellSortOptions() {
+        return { gapSequence: this.elements.gapSequence.value };
+    }
+    
+    /**
+     * Get Comb Sort configuration
+     * @returns {Object} Shrink factor, clamped to the input's range
+     */
+    getCombSortOptions() {
+        const shrink = parseFloat(this.elements.shrinkFactor.value);
+        return { shrink: Number.isFinite(shrink) ? Math.min(3, Math.max(1.1, shrink)) : 1.3 };
+    }
+    
+    /**
+     * Show configuration controls that belong to the selected algorithm
+     * @param {string} algorithmId - Algorithm ID
+     */
+    updateAlgorithmOptions(algorithmId) {
+        const info = ALGORITHM_INFO[algorithmId];
+        this.elements.quickSortOptions.classList.toggle('hidden', algorithmId !== 'quick-sort');
+        this.elements.shellSortOptions.classList.toggle('hidden', algorithmId !== 'shell-sort');
+        this.elements.combSortOptions.classList.toggle('hidden', algorithmId !== 'comb-sort');
+        const isSorting = info && info.category === 'sorting';
+        this.elements.distributionOptions.classList.toggle('hidden', !isSorting);
+        this.elements.customArrayOptions.classList.toggle('hidden', !isSorting);
+        this.elements.recordsOptions.classList.toggle('hidden', !isSorting);
+        this.elements.caseOptions.classList.toggle('hidden', !isSorting);
+        this.elements.viewModeOptions.classList.toggle('hidden', !isSorting || Boolean(info.network));
+        this.elements.stabilityOptions.classList.toggle('hidden', !isSorting);
+        this.elements.raceOptions.classList.toggle('hidden', !isSorting);
+        const isGrid = info && (info.category === 'graph' || info.category === 'pathfinding');
+        this.elements.gridSizeOptions.classList.toggle('hidden', !isGrid);
+    }
+    
     /**
      * Set active category button
      * @param {string} category - Category name
@@ -9,12 +9,62 @@ import { SortVisualizer } from './visualizers/sortVisualizer.js';
 import { GraphVisualizer } from './visualizers/graphVisualizer.js';
 import { PathVisualizer } from './visualizers/pathVisualizer.js';
 import { TreeVisualizer } from './visualizers/treeVisualizer.js';
-import { bubbleSort, insertionSort, mergeSort } from './algorithms/sorting.js';
-import { bfs, dfs } from './algorithms/graph.js';
-import { dijkstra, aStar } from './algorithms/pathfinding.js';
-import { preorderTraversal, inorderTraversal, postorderTraversal } from './algorithms/recursion.js';
-import { generateRandomArray, generateBinaryTree } from './utils/helpers.js';
-import { GRID_CONFIG } from './utils/constants.js';
+import { RaceVisualizer } from './visualizers/raceVisualizer.js';
+import { NetworkVisualizer } from './visualizers/networkVisualizer.js';
+import { TimelineVisualizer } from './visualizers/timelineVisualizer.js';
+import { GenerationController } from './controllers/generationController.js';
+import {
+    generateArray, generateBinaryTree, parseArrayInput, tagRecords, speedToDelay, speedToTransition,
+    KeyedRecord, parseRecordInput, parseSortKeys, rankRecords
+} from './utils/helpers.js';
+import { parseBreakpoint } from './utils/breakpoints.js';
+import { StepLog, streamSteps } from './utils/stepLog.js';
+import { ALGORITHM_INFO, CUSTOM_ARRAY_LIMITS, ANIMATION_SPEEDS } from './utils/constants.js';
+
+/**
+ * Check whether a key press belongs to a form control rather than the shortcuts:
+ * text fields, selects, sliders and editable content. Checkboxes only keep Space.
+ * @param {KeyboardEvent} e - Key event
+ * @returns {boolean}
+ */
+function isControlKey(e) {
+    const target = e.target;
+    if (target.isContentEditable || target.tagName === 'TEXTAREA' || target.tagName === 'SELECT') return true;
+    if (target.tagName !== 'INPUT') return false;
+    return ['checkbox', 'radio'].includes(target.type) ? e.key === ' ' : true;
+}
+
+/**
+ * Largest input a sorting algorithm is run on
+ * @param {string} algorithmId - Sorting algorithm ID
+ * @returns {number} Element limit
+ */
+function sizeLimit(algorithmId) {
+    const info = ALGORITHM_INFO[algorithmId];
+    return info && info.quadraticSteps ? CUSTOM_ARRAY_LIMITS.MAX_QUADRATIC_SIZE : CUSTOM_ARRAY_LIMITS.MAX_SIZE;
+}
+
+/**
+ * Fields of the race step at a frame. A racer without a step after the frame has finished.
+ * @param {Array} entries - Array of { name, steps }
+ * @param {number} frame - Frame index
+ * @returns {Object} Step fields { type, frame, description }
+ */
+function raceFields(entries, frame) {
+    const finished = entries.filter(entry => !entry.steps.has(frame + 1));
+    const complete = finished.length === entries.length;
+    
+    // Fewest steps finishes first; ties go to the racer listed first
+    const fastest = finished.reduce((best, entry) => (entry.steps.length < best.steps.length ? entry : best), finished[0]);
+    
+    return {
+        type: complete ? 'complete' : 'race',
+        frame: frame,
+        description: finished.length > 0
+            ? `Race step ${frame}: ${finished.length} of ${entries.length} finished. ${fastest.name} finished first.`
+            : `Race step ${frame}: all ${entries.length} algorithms still running.`
+    };
+}
 
 /**
  * Main Application Class
@@ -24,18 +74,31 @@ class AlgorithmPlayground {
         // Initialize controllers
         this.ui = new UIController();
         this.animation = new AnimationController();
+        this.generation = new GenerationController();
+        this.raceGenerations = []; // One per racer in a race, each streaming from its own worker
         
         // Initialize visualizers
         this.sortVisualizer = new SortVisualizer(this.ui.elements.canvas);
         this.graphVisualizer = new GraphVisualizer(this.ui.elements.gridContainer);
         this.pathVisualizer = new PathVisualizer(this.ui.elements.gridContainer);
         this.treeVisualizer = new TreeVisualizer(this.ui.elements.canvas);
+        this.raceVisualizer = new RaceVisualizer(this.ui.elements.raceContainer);
+        this.networkVisualizer = new NetworkVisualizer(this.ui.elements.canvas);
+        this.timeline = new TimelineVisualizer(
+            this.ui.elements.timelineSlider,
+            this.ui.elements.timelineMarks,
+            this.ui.elements.timelineLabel
+        );
         
         // State
         this.currentCategory = 'sorting';
         this.currentAlgorithm = 'bubble-sort';
         this.currentData = null;
+        this.customData = null; // User-supplied sorting input, overrides generated data
+        this.raceMode = false;
         this.currentVisualizer = null;
+        this.breakpointHit = null; // Breakpoint playback is paused at
+        this.renderedIndex = -1; // Step drawn last, so only moves to the next one are tweened
         
         // Setup
         this.setupEventListeners();
@@ -64,17 +127,106 @@ class AlgorithmPlayground {
         });
         
         this.ui.elements.dataSize.addEventListener('change', () => {
+            this.clearCustomArray();
+            this.initializeAlgorithm();
+        });
+        
+        // Input distribution
+        this.ui.elements.distributionSelect.addEventListener('change', () => {
+            this.clearCustomArray();
+            this.initializeAlgorithm();
+        });
+        
+        // Grid dimensions
+        this.ui.elements.gridSizeSelect.addEventListener('change', () => {
+            this.initializeAlgorithm();
+        });
+        
+        // View mode
+        this.ui.elements.viewModeSelect.addEventListener('change', () => {
+            const mode = this.ui.getViewMode();
+            this.sortVisualizer.setViewMode(mode);
+            this.raceVisualizer.setViewMode(mode);
+        });
+        
+        // Stability tags
+        this.ui.elements.stabilityToggle.addEventListener('change', () => {
+            this.initializeAlgorithm();
+        });
+        
+        // Race mode
+        this.ui.elements.raceToggle.addEventListener('change', () => {
+            this.raceMode = this.ui.elements.raceToggle.checked;
+            this.ui.setRaceMode(this.raceMode);
+            this.initializeAlgorithm();
+        });
+        
+        this.ui.elements.raceAlgorithms.addEventListener('change', () => {
+            this.initializeAlgorithm();
+        });
+        
+        // Custom array input
+        this.ui.elements.btnApplyArray.addEventListener('click', () => {
+            this.handleCustomArray();
+        });
+        
+        this.ui.elements.customArrayInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                this.handleCustomArray();
+            }
+        });
+        
+        // Record input
+        this.ui.elements.recordsToggle.addEventListener('change', () => {
+            const enabled = this.ui.elements.recordsToggle.checked;
+            this.ui.setRecordsMode(enabled);
+            if (!enabled && this.customData && this.customData[0] instanceof KeyedRecord) {
+                this.clearCustomArray();
+                this.initializeAlgorithm();
+            }
+        });
+        
+        this.ui.elements.btnApplyRecords.addEventListener('click', () => {
+            this.handleRecords();
+        });
+        
+        // Best and worst case inputs
+        this.ui.elements.btnBestCase.addEventListener('click', () => {
+            this.handleCaseInput('best');
+        });
+        
+        this.ui.elements.btnWorstCase.addEventListener('click', () => {
+            this.handleCaseInput('worst');
+        });
+        
+        // Quick Sort options
+        this.ui.elements.partitionScheme.addEventListener('change', () => {
+            this.initializeAlgorithm();
+        });
+        
+        this.ui.elements.pivotStrategy.addEventListener('change', () => {
+            this.initializeAlgorithm();
+        });
+        
+        // Gap-based sort options
+        this.ui.elements.gapSequence.addEventListener('change', () => {
+            this.initializeAlgorithm();
+        });
+        
+        this.ui.elements.shrinkFactor.addEventListener('change', () => {
             this.initializeAlgorithm();
         });
         
         // Speed slider
         this.ui.elements.speedSlider.addEventListener('input', (e) => {
-            const speed = parseInt(e.target.value);
-            this.ui.updateSpeedDisplay(speed);
-            this.animation.setSpeed(speed);
+            this.applySpeed(parseInt(e.target.value));
         });
         
         // Control buttons
+        this.ui.elements.btnReverse.addEventListener('click', () => {
+            this.handlePlay(-1);
+        });
+        
         this.ui.elements.btnPlay.addEventListener('click', () => {
             this.handlePlay();
         });
@@ -83,6 +235,10 @@ class AlgorithmPlayground {
             this.handlePause();
         });
         
+        this.ui.elements.btnStepBack.addEventListener('click', () => {
+            this.handleStepBack();
+        });
+        
         this.ui.elements.btnStep.addEventListener('click', () => {
             this.handleStep();
         });
@@ -91,11 +247,66 @@ class AlgorithmPlayground {
             this.handleReset();
         });
         
+        // Breakpoints
+        this.ui.elements.btnAddBreakpoint.addEventListener('click', () => {
+            this.handleAddBreakpoint();
+        });
+        
+        this.ui.elements.breakpointInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                this.handleAddBreakpoint();
+            }
+        });
+        
+        this.ui.elements.breakpointKind.addEventListener('change', () => {
+            this.ui.resetBreakpointInput();
+        });
+        
+        this.ui.elements.breakpointList.addEventListener('click', (e) => {
+            const button = e.target.closest('.breakpoint-remove');
+            if (button) this.handleRemoveBreakpoint(parseInt(button.dataset.index));
+        });
+        
+        // Keyboard shortcuts and their cheat sheet
+        this.ui.elements.btnShortcuts.addEventListener('click', () => {
+            this.ui.toggleShortcutSheet();
+        });
+        
+        document.addEventListener('keydown', (e) => {
+            this.handleKeyDown(e);
+        });
+        
         // Animation step callback
         this.animation.onStepChange = (step, index) => {
             this.handleStepChange(step, index);
         };
         
+        this.animation.onBreakpoint = (breakpoint, step, index) => {
+            this.handleBreakpoint(breakpoint, index);
+        };
+        
+        // Timeline scrubbing and event marks
+        this.timeline.onSeek = (index) => {
+            this.animation.seekTo(index);
+            this.updateControlButtonStates();
+        };
+        
+        // Background step generation
+        this.generation.onProgress = (log, first) => {
+            this.handleGenerationProgress(log, first);
+        };
+        
+        this.generation.onError = (message) => {
+            this.ui.showNotification(`Step generation failed: ${message}`, 'error');
+        };
+        
+        // Drawing walls reruns the search on the new layout
+        this.pathVisualizer.onWallsChange = () => {
+            this.animation.stop();
+            this.generatePathSteps();
+            this.updateControlButtonStates();
+        };
+        
         // Window resize
         window.addEventListener('resize', () => {
             this.handleResize();
@@ -110,8 +321,9 @@ class AlgorithmPlayground {
         this.ui.setActiveCategory(this.currentCategory);
         this.ui.filterAlgorithmsByCategory(this.currentCategory);
         this.ui.updateSizeDisplay(this.ui.getDataSize());
-        this.ui.updateSpeedDisplay(this.ui.getSpeed());
-        this.animation.setSpeed(this.ui.getSpeed());
+        this.applySpeed(this.ui.getSpeed());
+        this.ui.buildRaceAlgorithmOptions();
+        this.ui.buildShortcutSheet();
         
         this.initializeAlgorithm();
     }
@@ -136,11 +348,107 @@ class AlgorithmPlayground {
         this.initializeAlgorithm();
     }
     
+    /**
+     * Handle custom array submission
+     */
+    handleCustomArray() {
+        const { values, error } = parseArrayInput(
+            this.ui.getCustomArrayText(),
+            CUSTOM_ARRAY_LIMITS.MAX_SIZE,
+            CUSTOM_ARRAY_LIMITS.MAX_VALUE
+        );
+        
+        if (error) {
+            this.ui.showNotification(error, 'error');
+            return;
+        }
+        
+        this.customData = values;
+        this.ui.clearCaseCounts();
+        this.initializeAlgorithm();
+        this.ui.showNotification(`Loaded ${values.length} custom values.`, 'success');
+    }
+    
+    /**
+     * Load pasted records and order them by the chosen keys
+     */
+    handleRecords() {
+        const input = this.ui.getRecordInput();
+        const { records, fields, error } = parseRecordInput(input.text, CUSTOM_ARRAY_LIMITS.MAX_SIZE);
+        if (error) {
+            this.ui.showNotification(error, 'error');
+            return;
+        }
+        
+        const { keys, error: keyError } = parseSortKeys(input.sortKeys, fields);
+        if (keyError) {
+            this.ui.showNotification(keyError, 'error');
+            return;
+        }
+        
+        if (input.labelField && !fields.includes(input.labelField)) {
+            this.ui.showNotification(`Unknown label field "${input.labelField}". Available fields: ${fields.join(', ')}.`, 'error');
+            return;
+        }
+        
+        this.customData = rankRecords(records, keys, input.labelField || fields[0]);
+        this.ui.clearCustomArrayText();
+        this.ui.clearCaseCounts();
+        this.initializeAlgorithm();
+        
+        const order = keys.map(({ field, descending }) => `${field} ${descending ? 'desc' : 'asc'}`).join(', then ');
+        this.ui.showNotification(`Loaded ${records.length} records, ordered by ${order}.`, 'success');
+    }
+    
+    /**
+     * Load the best or worst case input of the selected sort and show the counts it produces
+     * @param {string} kind - 'best' or 'worst'
+     */
+    handleCaseInput(kind) {
+        const algorithm = this.currentAlgorithm;
+        const size = Math.min(this.ui.getDataSize(), sizeLimit(algorithm));
+        this.ui.showNotification(`Building the ${kind} case input for ${ALGORITHM_INFO[algorithm].name}...`, 'info');
+        
+        // Some inputs are searched for by replaying the sort, so they are built in the
+        // background; switching algorithms or data abandons the search
+        this.generation.buildCase(algorithm, kind, size, this.getSortOptions()).then(input => {
+            if (!input || algorithm !== this.currentAlgorithm) return;
+            
+            this.customData = input.values;
+            this.ui.setCustomArrayText(input.values);
+            this.initializeAlgorithm();
+            this.ui.showNotification(input.description, 'info');
+            
+            // Counted in the background; a newer job cancels the count
+            this.generation.measure(algorithm, [[...input.values], this.getSortOptions()]).then(summary => {
+                if (summary && summary.stats) this.ui.showCaseCounts(kind, size, summary.stats);
+            });
+        });
+    }
+    
+    /**
+     * Drop custom array input and return to generated data
+     */
+    clearCustomArray() {
+        this.customData = null;
+        this.ui.clearCustomArrayText();
+        this.ui.clearCaseCounts();
+    }
+    
     /**
      * Initialize algorithm with fresh data
      */
     initializeAlgorithm() {
         this.animation.stop();
+        this.generation.cancel();
+        this.raceGenerations.forEach(generation => generation.cancel());
+        this.raceGenerations = [];
+        this.ui.updateGenerationStatus(null);
+        this.clearBreakpointHit();
+        
+        // The canvas visualizers share one canvas; a leftover transition would draw over the new one
+        this.sortVisualizer.cancelTransition();
+        this.treeVisualizer.cancelTransition();
         
         const size = this.ui.getDataSize();
         const category = this.getCategoryForAlgorithm(this.currentAlgorithm);
@@ -169,50 +477,142 @@ class AlgorithmPlayground {
      * @param {number} size - Array size
      */
     initializeSorting(size) {
+        const racers = this.raceMode ? this.ui.getRaceAlgorithms() : [this.currentAlgorithm];
+        
+        // Quadratic sorts would record millions of steps on the largest inputs
+        const limit = Math.min(...racers.map(sizeLimit));
+        const length = this.customData ? this.customData.length : size;
+        if (length > limit) {
+            const limited = racers.find(id => sizeLimit(id) === limit);
+            this.ui.showNotification(`${ALGORITHM_INFO[limited].name} records about n² steps, so it runs on at most ${limit} elements. Using ${limit}.`, 'info');
+        }
+        
+        this.currentData = this.customData
+            ? this.customData.slice(0, limit)
+            : generateArray(Math.min(size, limit), this.ui.getDistribution());
+        
+        // Counting and radix sorts index by value, so they need whole numbers
+        const integerRacer = racers.find(id => ALGORITHM_INFO[id] && ALGORITHM_INFO[id].integerKeys);
+        if (integerRacer && !this.currentData.every(value => Number.isInteger(Number(value)))) {
+            this.ui.showNotification(`${ALGORITHM_INFO[integerRacer].name} requires whole numbers. Rounding custom values.`, 'info');
+            this.currentData = this.currentData.map(Math.round);
+        }
+        
+        if (this.ui.isStabilityTagging()) {
+            this.currentData = tagRecords(this.currentData);
+        }
+        
+        if (this.raceMode) {
+            this.initializeRace(racers);
+            return;
+        }
+        
         this.ui.showCanvas();
-        this.currentData = generateRandomArray(size);
-        this.currentVisualizer = this.sortVisualizer;
-        this.sortVisualizer.setArray(this.currentData);
-        
-        // Generate steps
-        let steps = [];
-        switch (this.currentAlgorithm) {
-            case 'bubble-sort':
-                steps = bubbleSort(this.currentData);
-                break;
-            case 'insertion-sort':
-                steps = insertionSort(this.currentData);
-                break;
-            case 'merge-sort':
-                steps = mergeSort(this.currentData);
-                break;
+        
+        // Sorting networks draw as wire diagrams instead of bars
+        this.currentVisualizer = ALGORITHM_INFO[this.currentAlgorithm].network
+            ? this.networkVisualizer
+            : this.sortVisualizer;
+        this.currentVisualizer.setArray(this.currentData);
+        
+        this.animation.loadSteps(this.generation.start(this.currentAlgorithm, [this.currentData, this.getSortOptions()]));
+        this.renderCurrentStep();
+    }
+    
+    /**
+     * Initialize race mode: every selected algorithm sorts an identical copy of the data
+     * @param {string[]} racers - Algorithm IDs to race
+     */
+    initializeRace(racers) {
+        if (racers.length === 0) {
+            this.ui.showNotification('Select at least one algorithm to race.', 'error');
+            this.animation.loadSteps(new StepLog());
+            return;
         }
         
-        this.animation.loadSteps(steps);
+        this.ui.showRace();
+        this.currentVisualizer = this.raceVisualizer;
+        
+        const entries = racers.map(id => {
+            const generation = new GenerationController();
+            const steps = generation.start(id, [[...this.currentData], this.getSortOptions()]);
+            return { name: ALGORITHM_INFO[id].name, generation, steps };
+        });
+        this.raceVisualizer.initialize(entries);
+        
+        // A generation without a job of its own fell back to a lazy main-thread log
+        if (entries.some(entry => entry.generation.log !== entry.steps)) {
+            this.animation.loadSteps(streamSteps(this.buildRaceSteps(entries)));
+            this.renderCurrentStep();
+            return;
+        }
+        
+        // Frames are appended as the racers' workers deliver steps
+        const race = new StepLog();
+        race.source = entries;
+        entries.forEach(({ generation }) => {
+            generation.onProgress = () => this.extendRace(race, entries);
+            generation.onError = (message) => {
+                this.ui.showNotification(`Step generation failed: ${message}`, 'error');
+                this.extendRace(race, entries);
+            };
+        });
+        this.raceGenerations = entries.map(entry => entry.generation);
+        
+        this.animation.loadSteps(race);
         this.renderCurrentStep();
     }
     
+    /**
+     * Append every race frame that the racers' steps received so far decide. A frame
+     * is known once each racer has delivered the step after it or has finished.
+     * @param {StepLog} race - Race steps
+     * @param {Array} entries - Array of { name, steps }
+     */
+    extendRace(race, entries) {
+        if (race !== this.animation.steps) return;
+        
+        const first = race.length === 0;
+        while (race.source) {
+            const frame = race.length;
+            if (entries.some(({ steps }) => !steps.finished && steps.length <= frame + 1)) break;
+            
+            const fields = raceFields(entries, frame);
+            race.push(fields);
+            if (fields.type === 'complete') race.source = null;
+        }
+        
+        if (race.length > 0) this.handleGenerationProgress(race, first);
+    }
+    
+    /**
+     * Build the shared timeline that advances every racer in lockstep when they are
+     * generated on the main thread. Each frame asks the racers for only one more
+     * step, so they are produced as the race runs.
+     * @param {Array} entries - Array of { name, steps }
+     * @yields {StepLog} Race steps, one per frame of the slowest racer
+     */
+    *buildRaceSteps(entries) {
+        const steps = new StepLog();
+        
+        for (let frame = 0; ; frame++) {
+            const fields = raceFields(entries, frame);
+            yield steps.push(fields);
+            if (fields.type === 'complete') return steps;
+        }
+    }
+    
     /**
      * Initialize graph visualization
      */
     initializeGraph() {
         this.ui.showGrid();
-        const start = { row: 10, col: 20 };
+        const { rows, cols } = this.ui.getGridSize();
+        const start = { row: Math.floor(rows / 2), col: Math.floor(cols / 2) };
         this.currentVisualizer = this.graphVisualizer;
-        this.graphVisualizer.initialize(start);
+        this.graphVisualizer.initialize(start, rows, cols);
         
-        // Generate steps
-        let steps = [];
-        switch (this.currentAlgorithm) {
-            case 'bfs':
-                steps = bfs(GRID_CONFIG.ROWS, GRID_CONFIG.COLS, start);
-                break;
-            case 'dfs':
-                steps = dfs(GRID_CONFIG.ROWS, GRID_CONFIG.COLS, start);
-                break;
-        }
-        
-        this.animation.loadSteps(steps);
+        this.animation.loadSteps(this.generation.start(this.currentAlgorithm, [rows, cols, start]));
         this.renderCurrentStep();
     }
     
@@ -221,24 +621,23 @@ class AlgorithmPlayground {
      */
     initializePathfinding() {
         this.ui.showGrid();
-        const start = { row: 10, col: 5 };
-        const end = { row: 10, col: 35 };
+        const { rows, cols } = this.ui.getGridSize();
+        const start = { row: Math.floor(rows / 2), col: Math.floor(cols / 8) };
+        const end = { row: Math.floor(rows / 2), col: cols - Math.floor(cols / 8) };
         this.currentVisualizer = this.pathVisualizer;
-        this.pathVisualizer.initialize(start, end);
-        
-        // Generate steps
-        const walls = this.pathVisualizer.getWalls();
-        let steps = [];
-        switch (this.currentAlgorithm) {
-            case 'dijkstra':
-                steps = dijkstra(GRID_CONFIG.ROWS, GRID_CONFIG.COLS, start, end, walls);
-                break;
-            case 'astar':
-                steps = aStar(GRID_CONFIG.ROWS, GRID_CONFIG.COLS, start, end, walls);
-                break;
-        }
+        this.pathVisualizer.initialize(start, end, rows, cols);
+        this.generatePathSteps();
+    }
+    
+    /**
+     * Search the current grid and wall layout, replacing the job in flight
+     */
+    generatePathSteps() {
+        const { rows, cols, startNode, endNode } = this.pathVisualizer;
         
-        this.animation.loadSteps(steps);
+        // The worker gets its own copy of the walls; a local fallback must not see later edits
+        const walls = new Set(this.pathVisualizer.getWalls());
+        this.animation.loadSteps(this.generation.start(this.currentAlgorithm, [rows, cols, startNode, endNode, walls]));
         this.renderCurrentStep();
     }
     
@@ -251,33 +650,19 @@ class AlgorithmPlayground {
         this.currentVisualizer = this.treeVisualizer;
         this.treeVisualizer.initialize(tree);
         
-        // Generate steps
-        let steps = [];
-        switch (this.currentAlgorithm) {
-            case 'tree-preorder':
-                steps = preorderTraversal(tree);
-                break;
-            case 'tree-inorder':
-                steps = inorderTraversal(tree);
-                break;
-            case 'tree-postorder':
-                steps = postorderTraversal(tree);
-                break;
-        }
-        
-        this.animation.loadSteps(steps);
+        this.animation.loadSteps(this.generation.start(this.currentAlgorithm, [tree]));
         this.renderCurrentStep();
     }
     
     /**
-     * Handle play button
+     * Handle play and reverse buttons. During playback this switches direction
+     * (resuming if paused).
+     * @param {number} direction - 1 to play forward, -1 in reverse
      */
-    async handlePlay() {
-        if (this.animation.isPaused) {
-            this.animation.resume();
-        } else {
-            await this.animation.play();
-        }
+    async handlePlay(direction = 1) {
+        const playback = this.animation.play(direction);
+        this.updateControlButtonStates();
+        await playback;
         this.updateControlButtonStates();
     }
     
@@ -301,6 +686,99 @@ class AlgorithmPlayground {
         this.updateControlButtonStates();
     }
     
+    /**
+     * Handle step back button
+     */
+    handleStepBack() {
+        this.animation.stepBackward();
+        this.updateControlButtonStates();
+    }
+    
+    /**
+     * Handle Home/End: jump to the first or the last step
+     * @param {boolean} toEnd - Jump to the last step instead of the first
+     */
+    handleJump(toEnd) {
+        if (toEnd) {
+            this.animation.seekToEnd();
+        } else {
+            this.animation.seekToStart();
+        }
+        this.updateControlButtonStates();
+    }
+    
+    /**
+     * Apply a speed slider value to playback and the displays that depend on it
+     * @param {number} speed - Slider value (1-100)
+     */
+    applySpeed(speed) {
+        this.ui.updateSpeedDisplay(speed);
+        this.animation.setSpeed(speed);
+        this.raceVisualizer.setStepDelay(speedToDelay(speed));
+    }
+    
+    /**
+     * Handle a keyboard shortcut. Keys meant for a form control, such as typing
+     * into a text field or moving a slider, are left alone.
+     * @param {KeyboardEvent} e - Key event
+     */
+    handleKeyDown(e) {
+        if (e.ctrlKey || e.metaKey || e.altKey || isControlKey(e)) return;
+        
+        // Stepping by keyboard takes over from running playback
+        const interrupt = () => {
+            if (this.animation.isPlaying && !this.animation.isPaused) this.animation.pause();
+        };
+        
+        switch (e.key) {
+            case ' ':
+                if (this.animation.isPlaying) {
+                    this.handlePause();
+                } else {
+                    this.handlePlay();
+                }
+                break;
+            case 'r':
+            case 'R':
+                this.handlePlay(-1);
+                break;
+            case 'ArrowRight':
+                interrupt();
+                this.handleStep();
+                break;
+            case 'ArrowLeft':
+                interrupt();
+                this.handleStepBack();
+                break;
+            case 'Home':
+                this.handleJump(false);
+                break;
+            case 'End':
+                this.handleJump(true);
+                break;
+            case '+':
+            case '=':
+                this.applySpeed(this.ui.setSpeed(this.ui.getSpeed() + ANIMATION_SPEEDS.KEY_STEP));
+                break;
+            case '-':
+            case '_':
+                this.applySpeed(this.ui.setSpeed(this.ui.getSpeed() - ANIMATION_SPEEDS.KEY_STEP));
+                break;
+            case '?':
+                this.ui.toggleShortcutSheet();
+                break;
+            case 'Escape':
+                this.ui.toggleShortcutSheet(false);
+                break;
+            default:
+                return;
+        }
+        
+        // Keep Space from also clicking a focused button, and the page from scrolling
+        e.preventDefault();
+        if (e.target.tagName === 'BUTTON') e.target.blur();
+    }
+    
     /**
      * Handle reset button
      */
@@ -309,30 +787,125 @@ class AlgorithmPlayground {
         this.updateControlButtonStates();
     }
     
+    /**
+     * Add the breakpoint typed into the breakpoint panel
+     */
+    handleAddBreakpoint() {
+        const { kind, text } = this.ui.getBreakpointInput();
+        const { breakpoint, error } = parseBreakpoint(kind, text);
+        if (error) {
+            this.ui.showNotification(error, 'error');
+            return;
+        }
+        
+        this.animation.breakpoints.push(breakpoint);
+        this.ui.renderBreakpoints(this.animation.breakpoints, this.breakpointHit);
+        this.ui.resetBreakpointInput();
+    }
+    
+    /**
+     * Remove a breakpoint
+     * @param {number} index - Position in the breakpoint list
+     */
+    handleRemoveBreakpoint(index) {
+        const [removed] = this.animation.breakpoints.splice(index, 1);
+        if (removed === this.breakpointHit) this.clearBreakpointHit();
+        this.ui.renderBreakpoints(this.animation.breakpoints, this.breakpointHit);
+    }
+    
+    /**
+     * Handle playback pausing at a breakpoint
+     * @param {Object} breakpoint - Matching breakpoint
+     * @param {number} index - Step index
+     */
+    handleBreakpoint(breakpoint, index) {
+        this.breakpointHit = breakpoint;
+        this.ui.renderBreakpoints(this.animation.breakpoints, breakpoint);
+        this.ui.updateBreakpointStatus(`Paused at step ${(index + 1).toLocaleString()}: ${breakpoint.label}.`);
+        this.updateControlButtonStates();
+    }
+    
+    /**
+     * Forget the breakpoint playback paused at once it moves on
+     */
+    clearBreakpointHit() {
+        if (!this.breakpointHit) return;
+        this.breakpointHit = null;
+        this.ui.renderBreakpoints(this.animation.breakpoints);
+        this.ui.updateBreakpointStatus(null);
+    }
+    
     /**
      * Handle step change during animation
      * @param {Object} step - Current step
      * @param {number} index - Step index
      */
     handleStepChange(step, index) {
-        this.renderCurrentStep();
+        this.clearBreakpointHit();
+        
+        // Tween only single steps forward; seeks and steps back jump straight there
+        const duration = index === this.renderedIndex + 1 ? speedToTransition(this.animation.speed) : 0;
+        this.renderCurrentStep(duration);
         this.updateControlButtonStates();
     }
     
+    /**
+     * Handle a batch of steps arriving from the step worker
+     * @param {StepLog} log - Log that received them
+     * @param {boolean} first - Whether these are its first steps
+     */
+    handleGenerationProgress(log, first) {
+        if (log !== this.animation.steps) return;
+        
+        this.ui.updateGenerationStatus(log.length, log.finished);
+        
+        // The initial render had nothing to draw yet
+        if (first) this.renderCurrentStep();
+        this.animation.followEnd();
+        this.updateTimeline();
+        this.updateControlButtonStates();
+    }
+    
+    /**
+     * Move the timeline to the current step
+     */
+    updateTimeline() {
+        this.timeline.render(this.animation.steps, this.animation.currentStepIndex, this.animation.getProgress());
+    }
+    
+    /**
+     * Options of the configurable sorts, merged as the generators read them
+     * @returns {Object} { partitionScheme, pivotStrategy, gapSequence, shrink }
+     */
+    getSortOptions() {
+        return {
+            ...this.ui.getQuickSortOptions(),
+            ...this.ui.getShellSortOptions(),
+            ...this.ui.getCombSortOptions()
+        };
+    }
+    
     /**
      * Render current animation step
+     * @param {number} duration - Transition into the step in milliseconds (sorting and recursion views)
      */
-    renderCurrentStep() {
+    renderCurrentStep(duration = 0) {
         const step = this.animation.getCurrentStep();
+        this.updateTimeline();
         if (!step) return;
+        this.renderedIndex = this.animation.currentStepIndex;
         
         // Update visualization
         if (this.currentVisualizer) {
-            this.currentVisualizer.render(step);
+            this.currentVisualizer.render(step, duration);
         }
         
-        // Update step explanation
+        // Update step explanation and the pseudocode line it carries out
         this.ui.updateStepExplanation(step.description || 'Processing...');
+        this.ui.highlightPseudocodeLine(step.line);
+        
+        // Update operation counters
+        this.ui.updateStats(step.stats);
     }
     
     /**
@@ -342,7 +915,9 @@ class AlgorithmPlayground {
         this.ui.updateControlButtons({
             isPlaying: this.animation.isPlaying,
             isPaused: this.animation.isPaused,
+            direction: this.animation.direction,
             canStep: !this.animation.isAtEnd(),
+            canStepBack: !this.animation.isAtStart(),
             canReset: true
         });
     }
@@ -354,6 +929,12 @@ class AlgorithmPlayground {
         if (this.currentVisualizer === this.sortVisualizer) {
             this.sortVisualizer.resize();
             this.renderCurrentStep();
+        } else if (this.currentVisualizer === this.raceVisualizer) {
+            this.raceVisualizer.resize();
+            this.renderCurrentStep();
+        } else if (this.currentVisualizer === this.networkVisualizer) {
+            this.networkVisualizer.resize();
+            this.renderCurrentStep();
         } else if (this.currentVisualizer === this.treeVisualizer) {
             this.treeVisualizer.resize();
             this.renderCurrentStep();
@@ -0,0 +1,79 @@
+/**
+ * Benchmark Utilities
+ * Headless measurement of step generators and theoretical growth curves
+ */
+
+// Matched in order against the start of an ALGORITHM_INFO complexity string
+const GROWTH_CURVES = [
+    { prefix: 'O(n log² n)', label: 'n log² n', fn: n => n * Math.log2(n) ** 2 },
+    { prefix: 'O(n log n)', label: 'n log n', fn: n => n * Math.log2(n) },
+    { prefix: 'O(n²', label: 'n²', fn: n => n * n },
+    { prefix: 'O(n^1.25)', label: 'n^1.25', fn: n => n ** 1.25 },
+    { prefix: 'O(n + ', label: 'n', fn: n => n },
+    { prefix: 'O(d · (n + b))', label: 'n', fn: n => n },
+    { prefix: 'O(n)', label: 'n', fn: n => n }
+];
+
+/**
+ * Find the growth curve named by a complexity string
+ * @param {string} notation - e.g. 'O(n log n)'
+ * @returns {Object} { label, fn } (n log n when the notation is not recognized)
+ */
+export function growthCurve(notation) {
+    const curve = GROWTH_CURVES.find(entry => notation && notation.startsWith(entry.prefix));
+    return curve || GROWTH_CURVES[1];
+}
+
+/**
+ * Least-squares constant c so that c · fn(n) best matches the measurements
+ * @param {Array} points - Array of { n, value }
+ * @param {Function} fn - Growth function
+ * @returns {number} Fitted constant
+ */
+export function fitConstant(points, fn) {
+    let numerator = 0;
+    let denominator = 0;
+    
+    points.forEach(({ n, value }) => {
+        numerator += value * fn(n);
+        denominator += fn(n) ** 2;
+    });
+    
+    return denominator > 0 ? numerator / denominator : 0;
+}
+
+/**
+ * Read the operation counts of a measured run
+ * @param {Object|null} summary - { stats, steps } from GenerationController.measure, null when it failed
+ * @returns {Object} { comparisons, swaps, writes, steps, status }
+ */
+export function summaryCounts(summary) {
+    if (!summary) return { status: 'failed' };
+    
+    const stats = summary.stats || {};
+    return {
+        comparisons: stats.comparisons || 0,
+        swaps: stats.swaps || 0,
+        writes: stats.writes || 0,
+        steps: summary.steps,
+        status: 'ok'
+    };
+}
+
+/**
+ * Format benchmark rows as CSV
+ * @param {Array} rows - Array of { algorithm, distribution, n, comparisons, swaps, writes, steps, status }
+ * @returns {string} CSV text with a header line
+ */
+export function toCSV(rows) {
+    const columns = ['algorithm', 'distribution', 'n', 'comparisons', 'swaps', 'writes', 'steps', 'status'];
+    const escape = value => {
+        const text = value === undefined || value === null ? '' : String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    
+    return [
+        columns.join(','),
+        ...rows.map(row => columns.map(column => escape(row[column])).join(','))
+    ].join('\n');
+}
@@ -0,0 +1,190 @@
+/**
+ * Breakpoints
+ * Rules that pause playback at matching steps: a step type, a condition on
+ * step fields, or an array index or grid cell being touched.
+ *
+ * Steps are matched on the fields they were recorded with (StepLog.peek), so
+ * playback can check every step it passes without rebuilding them. Conditions
+ * see fields such as distance, depth or stats, but not channel contents.
+ */
+
+// field.path operator literal; two-character operators come first so ">=" is not read as ">"
+const CLAUSE_PATTERN = /^([A-Za-z_$][\w$]*(?:\.[\w$]+)*)\s*(==|!=|>=|<=|>|<|=)\s*(.+)$/;
+
+/**
+ * Parse a literal on the right-hand side of a condition
+ * @param {string} text - Raw literal: number, quoted text, true/false/null or a bare word
+ * @returns {*} Parsed value
+ */
+function parseLiteral(text) {
+    const quoted = text.match(/^(['"])(.*)\1$/);
+    if (quoted) return quoted[2];
+    if (text === 'true') return true;
+    if (text === 'false') return false;
+    if (text === 'null') return null;
+    
+    const number = Number(text);
+    return text !== '' && Number.isFinite(number) ? number : text;
+}
+
+/**
+ * Parse one comparison such as "distance > 10" or "stats.swaps >= 100"
+ * @param {string} text - Raw comparison
+ * @returns {Object} { clause: { path, operator, value } } on success, { error } otherwise
+ */
+function parseClause(text) {
+    const match = text.match(CLAUSE_PATTERN);
+    if (!match) {
+        return { error: `"${text}" is not a condition. Use field operator value, e.g. "distance > 10".` };
+    }
+    
+    const [, path, operator, literal] = match;
+    return {
+        clause: {
+            path: path.split('.'),
+            operator: operator === '=' ? '==' : operator,
+            value: parseLiteral(literal.trim())
+        }
+    };
+}
+
+/**
+ * Read a dotted field path from a step. Only own properties are followed, so
+ * names like "constructor" never reach into prototypes.
+ * @param {Object} step - Animation step
+ * @param {string[]} path - Field names, e.g. ['stats', 'swaps']
+ * @returns {*} Field value, or undefined when the path does not exist
+ */
+function readField(step, path) {
+    let value = step;
+    for (const key of path) {
+        if (value === null || value === undefined) return undefined;
+        if (!Object.prototype.hasOwnProperty.call(Object(value), key)) return undefined;
+        value = value[key];
+    }
+    return value;
+}
+
+/**
+ * Check one condition clause against a step. Missing fields and fields that
+ * are objects never match; ordering operators need numbers on both sides.
+ * @param {Object} clause - { path, operator, value }
+ * @param {Object} step - Animation step
+ * @returns {boolean}
+ */
+function matchesClause(clause, step) {
+    const actual = readField(step, clause.path);
+    const { operator, value } = clause;
+    if (actual === undefined || (actual !== null && typeof actual === 'object')) return false;
+    
+    switch (operator) {
+        case '==':
+            return typeof value === 'number' ? actual === value : String(actual) === String(value);
+        case '!=':
+            return typeof value === 'number' ? actual !== value : String(actual) !== String(value);
+        default:
+            if (typeof actual !== 'number' || typeof value !== 'number') return false;
+            if (operator === '>') return actual > value;
+            if (operator === '>=') return actual >= value;
+            if (operator === '<') return actual < value;
+            return actual <= value;
+    }
+}
+
+/**
+ * Check whether a step touches a grid cell
+ * @param {Object} step - Animation step
+ * @param {number} row - Cell row
+ * @param {number} col - Cell column
+ * @returns {boolean}
+ */
+function touchesCell(step, row, col) {
+    return [step.current, step.neighbor].some(cell => cell && cell.row === row && cell.col === col);
+}
+
+/**
+ * Parse a breakpoint typed into the breakpoint panel
+ * @param {string} kind - 'type', 'condition', 'index' or 'cell'
+ * @param {string} text - Raw rule text
+ * @returns {Object} { breakpoint: { kind, label, ... } } on success, { error } otherwise
+ */
+export function parseBreakpoint(kind, text) {
+    const input = text.trim();
+    
+    switch (kind) {
+        case 'type': {
+            if (!/^[a-z][a-z-]*$/i.test(input)) {
+                return { error: 'Enter a step type, e.g. "swap", "backtrack" or "path-found".' };
+            }
+            const type = input.toLowerCase();
+            return { breakpoint: { kind, type, label: `Step type is ${type}` } };
+        }
+        
+        case 'condition': {
+            const parts = input.split(/\s*&&\s*|\s+and\s+/i).filter(part => part !== '');
+            if (parts.length === 0) {
+                return { error: 'Enter a condition, e.g. "distance > 10" or "depth == 3".' };
+            }
+            
+            const clauses = [];
+            for (const part of parts) {
+                const { clause, error } = parseClause(part);
+                if (error) return { error };
+                clauses.push(clause);
+            }
+            return { breakpoint: { kind, clauses, label: `When ${parts.join(' and ')}` } };
+        }
+        
+        case 'index': {
+            if (!/^\d+$/.test(input)) {
+                return { error: 'Enter an array index, e.g. "7".' };
+            }
+            const index = parseInt(input);
+            return { breakpoint: { kind, index, label: `Index ${index} touched` } };
+        }
+        
+        case 'cell': {
+            const match = input.match(/^\(?\s*(\d+)\s*[,\s]\s*(\d+)\s*\)?$/);
+            if (!match) {
+                return { error: 'Enter a grid cell as row, column, e.g. "5, 12".' };
+            }
+            const row = parseInt(match[1]);
+            const col = parseInt(match[2]);
+            return { breakpoint: { kind, row, col, label: `Cell (${row}, ${col}) touched` } };
+        }
+        
+        default:
+            return { error: `Unknown breakpoint kind "${kind}".` };
+    }
+}
+
+/**
+ * Check whether a step matches a breakpoint
+ * @param {Object} breakpoint - Parsed breakpoint
+ * @param {Object} step - Recorded step fields
+ * @returns {boolean}
+ */
+export function matchesBreakpoint(breakpoint, step) {
+    switch (breakpoint.kind) {
+        case 'type':
+            return step.type === breakpoint.type;
+        case 'condition':
+            return breakpoint.clauses.every(clause => matchesClause(clause, step));
+        case 'index':
+            return Array.isArray(step.indices) && step.indices.includes(breakpoint.index);
+        case 'cell':
+            return touchesCell(step, breakpoint.row, breakpoint.col);
+        default:
+            return false;
+    }
+}
+
+/**
+ * Find the first breakpoint a step matches
+ * @param {Object[]} breakpoints - Parsed breakpoints
+ * @param {Object} step - Recorded step fields
+ * @returns {Object|null} Matching breakpoint, or null
+ */
+export function findBreakpoint(breakpoints, step) {
+    return breakpoints.find(breakpoint => matchesBreakpoint(breakpoint, step)) || null;
+}
@@ -0,0 +1,540 @@
+/**
+ * Best and Worst Case Inputs
+ * Builds, for each sorting algorithm, the input that minimizes or maximizes its operation count
+ */
+
+import { quickSort, shellSort, combSort, timSort, bitonicSort, oddEvenMergeSort } from '../algorithms/sorting.js';
+import { generateArray } from './helpers.js';
+import { CUSTOM_ARRAY_LIMITS } from './constants.js';
+import { summarizeSteps } from './stepLog.js';
+
+// Search for inputs with no known construction (see searchRanks). Every replay
+// of the sort is charged its operation count plus a fixed setup cost, and a
+// search stops once it has used up the budget.
+const EXHAUSTIVE_SEARCH_SIZE = 7;
+const SEARCH_RANDOM_STARTS = 20;
+const SEARCH_REPLAY_COST = 50;
+const SEARCH_OPERATION_BUDGET = 1000000;
+
+/**
+ * Map ranks 0...n-1 onto values spread over [min, max]. Values stay distinct
+ * until n outgrows the custom array value limit, after which neighboring ranks share one.
+ * @param {number[]} ranks - Rank of each position
+ * @param {number} min - Smallest value
+ * @param {number} max - Largest value
+ * @returns {number[]} Values in the same order as the ranks
+ */
+function fromRanks(ranks, min = 10, max = 500) {
+    const n = ranks.length;
+    
+    // Stretched past max to keep the values distinct, but never past what the custom array input accepts
+    const span = Math.min(Math.max(max - min, n - 1), CUSTOM_ARRAY_LIMITS.MAX_VALUE - min);
+    return ranks.map(rank => min + Math.round(n > 1 ? (rank * span) / (n - 1) : 0));
+}
+
+/**
+ * Keys that all land in bucketSort's first bucket once an outlier at MAX_VALUE
+ * sets the range: with keys from 0, that bucket holds those below
+ * (MAX_VALUE + 1) / round(√n). Descending, and as far apart as the bucket allows.
+ * @param {number} count - Number of keys
+ * @param {number} n - Length of the whole input, outlier included
+ * @returns {number[]} Descending keys, repeated once the bucket has fewer values than keys
+ */
+function bucketSortCrowdedKeys(count, n) {
+    const top = Math.ceil((CUSTOM_ARRAY_LIMITS.MAX_VALUE + 1) / Math.max(1, Math.round(Math.sqrt(n)))) - 1;
+    return ascendingRanks(count).reverse().map(rank => Math.round((rank * top) / Math.max(1, count - 1)));
+}
+
+/**
+ * Ranks 0...n-1 in ascending order
+ * @param {number} n - Array length
+ * @returns {number[]} Sorted ranks
+ */
+function ascendingRanks(n) {
+    return Array.from({ length: n }, (_, i) => i);
+}
+
+/**
+ * Ranks arranged so that every merge of a top-down merge sort alternates
+ * between its halves until both run out: the sorted order is dealt into
+ * even and odd positions, recursively, with the left half taking the extra element.
+ * @param {number[]} ranks - Sorted ranks to rearrange
+ * @returns {number[]} Rearranged ranks
+ */
+function unmergeRanks(ranks) {
+    if (ranks.length <= 1) return ranks;
+    
+    const left = ranks.filter((_, i) => i % 2 === 0);
+    const right = ranks.filter((_, i) => i % 2 === 1);
+    return [...unmergeRanks(left), ...unmergeRanks(right)];
+}
+
+/**
+ * Total operations a step generator reports for an input
+ * @param {Function} generator - Sorting step generator
+ * @param {number[]} values - Input array
+ * @param {Object} options - Generator options
+ * @returns {number} Comparisons + swaps + writes at the last step
+ */
+function operationCount(generator, values, options) {
+    const { comparisons, swaps, writes } = summarizeSteps(generator(values, options)).stats;
+    return comparisons + swaps + writes;
+}
+
+/**
+ * Every ordering of ranks 0...n-1, in Heap's algorithm order
+ * @param {number} n - Array length
+ * @yields {number[]} Each permutation (the same array, rearranged between yields)
+ */
+function* permutations(n) {
+    const ranks = ascendingRanks(n);
+    const counters = new Array(n).fill(0);
+    yield ranks;
+    
+    let i = 1;
+    while (i < n) {
+        if (counters[i] < i) {
+            const j = i % 2 === 0 ? 0 : counters[i];
+            [ranks[i], ranks[j]] = [ranks[j], ranks[i]];
+            yield ranks;
+            counters[i]++;
+            i = 1;
+        } else {
+            counters[i] = 0;
+            i++;
+        }
+    }
+}
+
+/**
+ * Search for the ordering with the lowest or highest operation count. Short
+ * arrays try every ordering. Longer ones climb from the costliest (or cheapest)
+ * of the seed and a few random orderings: swap two random positions and keep the
+ * swap whenever the count does not get worse. A climb that stops improving for
+ * as many trials as there are pairs restarts from a fresh random ordering. The
+ * random choices are seeded from n, so the same size always yields the same input.
+ * @param {Function} generator - Sorting step generator
+ * @param {number[]} seed - Starting ranks, usually a construction that is already close
+ * @param {string} kind - 'best' (minimize) or 'worst' (maximize)
+ * @param {Object} options - Generator options
+ * @returns {number[]} Best ranks found
+ */
+function searchRanks(generator, seed, kind, options) {
+    const n = seed.length;
+    const improves = (candidateCost, cost) => (kind === 'worst' ? candidateCost > cost : candidateCost < cost);
+    let budget = SEARCH_OPERATION_BUDGET;
+    const count = ranks => {
+        const cost = operationCount(generator, fromRanks(ranks), options);
+        budget -= cost + SEARCH_REPLAY_COST;
+        return cost;
+    };
+    
+    let best = [...seed];
+    let bestCost = count(best);
+    
+    if (n <= EXHAUSTIVE_SEARCH_SIZE) {
+        for (const candidate of permutations(n)) {
+            const candidateCost = count(candidate);
+            if (improves(candidateCost, bestCost)) {
+                best = [...candidate];
+                bestCost = candidateCost;
+            }
+        }
+        return best;
+    }
+    
+    let state = n * 7919 + 1;
+    const random = () => {
+        state = (state * 1103515245 + 12345) % 2147483648;
+        return state / 2147483648;
+    };
+    const shuffled = () => {
+        const ranks = ascendingRanks(n);
+        for (let i = n - 1; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            [ranks[i], ranks[j]] = [ranks[j], ranks[i]];
+        }
+        return ranks;
+    };
+    
+    let ranks = best;
+    let cost = bestCost;
+    for (let start = 0; start < SEARCH_RANDOM_STARTS && budget > 0; start++) {
+        const candidate = shuffled();
+        const candidateCost = count(candidate);
+        if (improves(candidateCost, cost)) {
+            ranks = candidate;
+            cost = candidateCost;
+        }
+    }
+    
+    const patience = (n * (n - 1)) / 2;
+    let stale = 0;
+    while (budget > 0) {
+        if (improves(cost, bestCost)) {
+            best = ranks;
+            bestCost = cost;
+        }
+        
+        if (stale >= patience) {
+            ranks = shuffled();
+            cost = count(ranks);
+            stale = 0;
+            continue;
+        }
+        
+        const i = Math.floor(random() * n);
+        const j = Math.floor(random() * n);
+        if (i === j) continue;
+        
+        const candidate = [...ranks];
+        [candidate[i], candidate[j]] = [candidate[j], candidate[i]];
+        const candidateCost = count(candidate);
+        
+        stale = improves(candidateCost, cost) ? 0 : stale + 1;
+        if (candidateCost === cost || improves(candidateCost, cost)) {
+            ranks = candidate;
+            cost = candidateCost;
+        }
+    }
+    
+    return improves(cost, bestCost) ? ranks : best;
+}
+
+/**
+ * Describe how searchRanks arrived at an input of length n
+ * @param {number} n - Array length
+ * @param {string} kind - 'best' or 'worst'
+ * @param {string} seed - What the search started from, e.g. 'a reversed array'
+ * @returns {string} Sentence for the case description
+ */
+function searchNote(n, kind, seed) {
+    if (n <= EXHAUSTIVE_SEARCH_SIZE) return `Found by trying every ordering of ${n} elements.`;
+    
+    return `Approximate: the ${kind === 'worst' ? 'costliest' : 'cheapest'} of ${seed} and ${SEARCH_RANDOM_STARTS} random orderings, ` +
+        `then pairs swapped while the operation count keeps ${kind === 'worst' ? 'rising' : 'falling'}.`;
+}
+
+/**
+ * Replay quickSort's comparisons on element ids, letting an adversary answer
+ * every comparison. The answers fix the ranks that make quickSort take exactly that path.
+ * Mirrors choosePivot, lomutoPartition and hoarePartition in sorting.js.
+ * @param {number} n - Array length
+ * @param {Object} options - { partitionScheme, pivotStrategy }
+ * @param {Object} adversary - { beginPartition(low, high, ids, pivotIds), compare(a, b), settle(id, rank), ranks() }
+ * @returns {number[]} Rank of every starting position
+ */
+function replayQuickSort(n, options, adversary) {
+    const { partitionScheme = 'lomuto', pivotStrategy = 'last' } = options;
+    const ids = ascendingRanks(n);
+    
+    const exchange = (i, j) => {
+        [ids[i], ids[j]] = [ids[j], ids[i]];
+    };
+    
+    function choosePivot(low, high) {
+        const mid = Math.floor((low + high) / 2);
+        
+        switch (pivotStrategy) {
+            case 'first':
+                adversary.beginPartition(low, high, ids, [ids[low]]);
+                return low;
+            case 'median-of-three': {
+                const candidates = [low, mid, high];
+                adversary.beginPartition(low, high, ids, [ids[mid], ids[low], ids[high]]);
+                return [...candidates].sort((a, b) => adversary.compare(ids[a], ids[b]))[1];
+            }
+            default:
+                adversary.beginPartition(low, high, ids, [ids[high]]);
+                return high;
+        }
+    }
+    
+    function lomutoPartition(low, high) {
+        exchange(choosePivot(low, high), high);
+        const pivot = ids[high];
+        let i = low - 1;
+        
+        for (let j = low; j < high; j++) {
+            if (adversary.compare(ids[j], pivot) <= 0) {
+                i++;
+                exchange(i, j);
+            }
+        }
+        
+        exchange(i + 1, high);
+        return i + 1;
+    }
+    
+    function hoarePartition(low, high) {
+        exchange(choosePivot(low, high), low);
+        const pivot = ids[low];
+        let i = low - 1;
+        let j = high + 1;
+        
+        while (true) {
+            do {
+                i++;
+            } while (adversary.compare(ids[i], pivot) < 0);
+            
+            do {
+                j--;
+            } while (adversary.compare(ids[j], pivot) > 0);
+            
+            if (i >= j) return j;
+            exchange(i, j);
+        }
+    }
+    
+    function helper(low, high) {
+        if (low > high) return;
+        
+        if (low === high) {
+            adversary.settle(ids[low], low);
+            return;
+        }
+        
+        if (partitionScheme === 'hoare') {
+            const split = hoarePartition(low, high);
+            helper(low, split);
+            helper(split + 1, high);
+        } else {
+            const pivotIndex = lomutoPartition(low, high);
+            adversary.settle(ids[pivotIndex], pivotIndex);
+            helper(low, pivotIndex - 1);
+            helper(pivotIndex + 1, high);
+        }
+    }
+    
+    helper(0, n - 1);
+    return adversary.ranks();
+}
+
+/**
+ * McIlroy's "killer adversary": values start as undecided "gas"; when two gas
+ * values meet, one of them freezes to the smallest unused rank. Pivots freeze
+ * first, so every partition peels off only one or two elements.
+ * @param {number} n - Array length
+ * @returns {Object} Adversary for replayQuickSort
+ */
+function killerAdversary(n) {
+    const gas = n;
+    const value = new Array(n).fill(gas);
+    let solid = 0;
+    let candidate = -1;
+    
+    return {
+        beginPartition() {},
+        compare(a, b) {
+            if (value[a] === gas && value[b] === gas) {
+                value[a === candidate ? a : b] = solid++;
+            }
+            if (value[a] === gas) {
+                candidate = a;
+            } else if (value[b] === gas) {
+                candidate = b;
+            }
+            return value[a] - value[b];
+        },
+        settle() {},
+        ranks() {
+            return value.map(v => (v === gas ? solid++ : v));
+        }
+    };
+}
+
+/**
+ * Adversary that gives every pivot the median rank of its range. Elements
+ * only learn which side of the pivot they belong to; their exact rank is fixed
+ * later, when they become a pivot or a one-element range themselves.
+ * @param {number} n - Array length
+ * @returns {Object} Adversary for replayQuickSort
+ */
+function balancedAdversary(n) {
+    const rank = new Array(n).fill(null);
+    const key = new Array(n).fill(0);
+    
+    return {
+        beginPartition(low, high, ids, pivotIds) {
+            const members = ids.slice(low, high + 1);
+            const taken = new Set(members.filter(id => rank[id] !== null).map(id => rank[id]));
+            const free = [];
+            for (let r = low; r <= high; r++) {
+                if (!taken.has(r)) free.push(r);
+            }
+            
+            // Prefer an undecided candidate (the middle one for median-of-three)
+            let pivot = pivotIds.find(id => rank[id] === null);
+            if (pivot === undefined) {
+                const ordered = [...pivotIds].sort((a, b) => rank[a] - rank[b]);
+                pivot = ordered[Math.floor(ordered.length / 2)];
+            } else {
+                rank[pivot] = free[Math.floor((free.length - 1) / 2)];
+            }
+            const pivotRank = rank[pivot];
+            
+            // The other median-of-three candidates go to opposite sides, then everyone else fills the quota
+            let below = free.filter(r => r < pivotRank).length;
+            const others = [...new Set(pivotIds.filter(id => id !== pivot))];
+            const order = [...others, ...members.filter(id => !others.includes(id))];
+            const fixedBelow = others.some(id => rank[id] !== null && rank[id] < pivotRank);
+            
+            order.forEach((id, i) => {
+                if (rank[id] !== null) {
+                    key[id] = rank[id];
+                    return;
+                }
+                const wantsAbove = i < others.length && (fixedBelow || (i > 0 && key[others[0]] < pivotRank));
+                if (below > 0 && !wantsAbove) {
+                    key[id] = pivotRank - 0.5;
+                    below--;
+                } else {
+                    key[id] = pivotRank + 0.5;
+                }
+            });
+        },
+        compare(a, b) {
+            return key[a] - key[b];
+        },
+        settle(id, r) {
+            if (rank[id] === null) rank[id] = r;
+        },
+        ranks() {
+            return rank;
+        }
+    };
+}
+
+/**
+ * Quick sort inputs for the selected partition scheme and pivot strategy
+ * @param {number} n - Array length
+ * @param {string} kind - 'best' or 'worst'
+ * @param {Object} options - { partitionScheme, pivotStrategy }
+ * @returns {Object} { values, description }
+ */
+function quickSortCase(n, kind, options) {
+    const { partitionScheme = 'lomuto', pivotStrategy = 'last' } = options;
+    
+    if (pivotStrategy === 'random') {
+        if (kind === 'worst' && partitionScheme !== 'hoare') {
+            return {
+                values: generateArray(n, 'all-equal'),
+                description: 'All keys equal: Lomuto sends every element that is <= the pivot left, so each partition peels off one element whichever pivot is drawn.'
+            };
+        }
+        return {
+            values: generateArray(n, 'random'),
+            description: 'With random pivots the cost depends on the draw, not the input, so no fixed input is reliably best or worst. Loaded a random array.'
+        };
+    }
+    
+    // The adversaries only steer comparisons, so the search settles the swaps and writes
+    const adversary = kind === 'worst' ? killerAdversary(n) : balancedAdversary(n);
+    return {
+        values: fromRanks(searchRanks(quickSort, replayQuickSort(n, options, adversary), kind, options)),
+        description: kind === 'worst'
+            ? `Pivots that take the smallest value left in their range (second smallest for median-of-three) maximize comparisons, not swaps. ${searchNote(n, kind, 'that input')}`
+            : `Pivots that split their range in half minimize comparisons, not swaps. ${searchNote(n, kind, 'that input')}`
+    };
+}
+
+// Builders per algorithm: (n, options) => { values, description }
+const CASE_BUILDERS = {
+    'bubble-sort': {
+        best: n => ({ values: fromRanks(ascendingRanks(n)), description: 'Already sorted: the first pass makes no swaps and the sort stops early.' }),
+        worst: n => ({ values: fromRanks(ascendingRanks(n).reverse()), description: 'Reversed: every comparison swaps and no pass can stop early.' })
+    },
+    'insertion-sort': {
+        best: n => ({ values: fromRanks(ascendingRanks(n)), description: 'Already sorted: each key is compared once with its left neighbor and stays put.' }),
+        worst: n => ({ values: fromRanks(ascendingRanks(n).reverse()), description: 'Reversed: every key is shifted past all the keys before it.' })
+    },
+    'merge-sort': {
+        best: n => ({ values: fromRanks(ascendingRanks(n).reverse()), description: 'Reversed: every merge exhausts its right half, never the longer one, after one comparison per element of it.' }),
+        worst: n => ({ values: fromRanks(unmergeRanks(ascendingRanks(n))), description: 'Interleaved so that every merge alternates between its halves until the last element.' })
+    },
+    'quick-sort': {
+        best: (n, options) => quickSortCase(n, 'best', options),
+        worst: (n, options) => quickSortCase(n, 'worst', options)
+    },
+    'heap-sort': {
+        best: n => ({ values: generateArray(n, 'all-equal'), description: 'All keys equal: every sift-down compares the node with its children (one comparison, or two when it has a right child) and stops without moving it.' }),
+        worst: n => ({ values: fromRanks(ascendingRanks(n)), description: 'Already sorted: building the heap sifts every parent all the way down.' })
+    },
+    'counting-sort': {
+        best: n => ({ values: generateArray(n, 'all-equal'), description: 'All keys equal: the count array has a single slot.' }),
+        worst: n => ({
+            values: fromRanks(ascendingRanks(n).reverse(), 1, CUSTOM_ARRAY_LIMITS.MAX_VALUE),
+            description: `Keys spread from 1 to ${CUSTOM_ARRAY_LIMITS.MAX_VALUE}: the count array needs a slot for every value in between.`
+        })
+    },
+    'radix-sort-lsd': {
+        best: n => ({ values: ascendingRanks(n).reverse().map(i => 1 + (i % 9)), description: 'Single-digit keys: one distribution pass.' }),
+        worst: n => ({ values: fromRanks(ascendingRanks(n).reverse(), 100, CUSTOM_ARRAY_LIMITS.MAX_VALUE), description: 'Three-digit keys: one pass per digit.' })
+    },
+    'radix-sort-msd': {
+        best: n => ({ values: ascendingRanks(n).reverse().map(i => 1 + (i % 9)), description: 'Single-digit keys: one distribution, after which every bucket is final.' }),
+        worst: n => ({
+            values: ascendingRanks(n).reverse().map(i => 500 + (i % 10)),
+            description: 'Three-digit keys sharing their leading digits: every bucket recurses down to the last digit.'
+        })
+    },
+    'bucket-sort': {
+        best: n => ({ values: fromRanks(ascendingRanks(n)), description: 'Evenly spread and sorted: each bucket gets about √n keys already in order.' }),
+        worst: n => ({
+            values: [...bucketSortCrowdedKeys(n - 1, n), CUSTOM_ARRAY_LIMITS.MAX_VALUE].slice(0, n),
+            description: 'One large outlier stretches the range, so every other key lands in the first bucket in reverse order.'
+        })
+    },
+    'shell-sort': {
+        best: n => ({ values: fromRanks(ascendingRanks(n)), description: 'Already sorted: every gap pass compares each element once and moves nothing.' }),
+        worst: (n, options) => ({
+            values: fromRanks(searchRanks(shellSort, ascendingRanks(n).reverse(), 'worst', options)),
+            description: `No closed-form worst case is known for most gap sequences. ${searchNote(n, 'worst', 'a reversed array')}`
+        })
+    },
+    'comb-sort': {
+        best: n => ({ values: fromRanks(ascendingRanks(n)), description: 'Already sorted: the passes find nothing to swap.' }),
+        worst: (n, options) => ({
+            values: fromRanks(searchRanks(combSort, ascendingRanks(n).reverse(), 'worst', options)),
+            description: `No closed-form worst case is known. ${searchNote(n, 'worst', 'a reversed array')}`
+        })
+    },
+    'tim-sort': {
+        best: n => ({ values: fromRanks(ascendingRanks(n)), description: 'Already sorted: one natural run, found with n - 1 comparisons.' }),
+        worst: (n, options) => ({
+            values: fromRanks(searchRanks(timSort, unmergeRanks(ascendingRanks(n)), 'worst', options)),
+            description: `No closed-form worst case is known. ${searchNote(n, 'worst', 'an interleaved array (no long natural runs, merges that alternate)')}`
+        })
+    },
+    'bitonic-sort': {
+        best: n => ({
+            values: fromRanks(searchRanks(bitonicSort, ascendingRanks(n), 'best', {})),
+            description: `The comparators are fixed, so only swaps vary. ${searchNote(n, 'best', 'a sorted array')}`
+        }),
+        worst: n => ({
+            values: fromRanks(searchRanks(bitonicSort, ascendingRanks(n).reverse(), 'worst', {})),
+            description: `The comparators are fixed, so only swaps vary. ${searchNote(n, 'worst', 'a reversed array')}`
+        })
+    },
+    'odd-even-merge-sort': {
+        best: n => ({ values: fromRanks(ascendingRanks(n)), description: 'The comparators are fixed, so only swaps vary. Sorted input makes none.' }),
+        worst: n => ({
+            values: fromRanks(searchRanks(oddEvenMergeSort, ascendingRanks(n).reverse(), 'worst', {})),
+            description: `The comparators are fixed, so only swaps vary. ${searchNote(n, 'worst', 'a reversed array')}`
+        })
+    }
+};
+
+/**
+ * Build the best or worst case input of a sorting algorithm
+ * @param {string} algorithmId - Sorting algorithm id
+ * @param {string} kind - 'best' or 'worst'
+ * @param {number} size - Array length
+ * @param {Object} options - Algorithm options (quick sort scheme and pivot, shell sort gaps)
+ * @returns {Object|null} { values, description }, or null when the algorithm has no builder
+ */
+export function buildCaseInput(algorithmId, kind, size, options = {}) {
+    const builder = CASE_BUILDERS[algorithmId];
+    if (!builder || !builder[kind]) return null;
+    return builder[kind](size, options);
+}
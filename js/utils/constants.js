@@ -7,6 +7,7 @@ export const ALGORITHM_INFO = {
     'bubble-sort': {
         name: 'Bubble Sort',
         category: 'sorting',
+        quadraticSteps: true,
         description: 'Bubble Sort repeatedly steps through the array, compares adjacent elements and swaps them if they are in wrong order. The pass through the array is repeated until the array is sorted.',
         timeBest: 'O(n)',
         timeAvg: 'O(n²)',
@@ -27,6 +28,7 @@ export const ALGORITHM_INFO = {
     'insertion-sort': {
         name: 'Insertion Sort',
         category: 'sorting',
+        quadraticSteps: true,
         description: 'Insertion Sort builds the final sorted array one item at a time. It iterates through an array and at each iteration, removes one element, finds its correct position in the sorted portion, and inserts it there.',
         timeBest: 'O(n)',
         timeAvg: 'O(n²)',
@@ -59,7 +61,258 @@ export const ALGORITHM_INFO = {
         merge(array, left, mid, right)
 
 function merge(array, left, mid, right):
-    // Merge two sorted subarrays`
+    L = copy of array[left...mid]
+    R = copy of array[mid+1...right]
+    i = 0, j = 0, k = left
+    while i < length(L) and j < length(R):
+        if L[i] <= R[j]:
+            array[k++] = L[i++]
+        else:
+            array[k++] = R[j++]
+    copy the rest of L into array[k...]
+    copy the rest of R into array[k...]`
+    },
+    'quick-sort': {
+        name: 'Quick Sort',
+        category: 'sorting',
+        quadraticSteps: true,
+        description: 'Quick Sort picks a pivot, partitions the array so smaller elements sit left of it and larger elements right of it, then recursively sorts both sides. Lomuto partitioning scans with a single boundary; Hoare partitioning closes in with two pointers and performs fewer swaps.',
+        timeBest: 'O(n log n)',
+        timeAvg: 'O(n log n)',
+        timeWorst: 'O(n²)',
+        space: 'O(log n)',
+        useCase: 'General-purpose in-memory sorting where average speed matters more than stability. Pivot choice (random or median-of-three) guards against the O(n²) worst case on sorted input.',
+        pseudocode: `function quickSort(array, low, high):
+    if low < high:
+        p = partition(array, low, high)
+        quickSort(array, low, p - 1)   // Hoare: (low, p)
+        quickSort(array, p + 1, high)
+
+function lomutoPartition(array, low, high):
+    swap(array[choosePivot(low, high)], array[high])
+    pivot = array[high]
+    i = low - 1
+    for j from low to high-1:
+        if array[j] <= pivot:
+            i = i + 1
+            swap(array[i], array[j])
+    swap(array[i+1], array[high])
+    return i + 1
+
+function hoarePartition(array, low, high):
+    swap(array[choosePivot(low, high)], array[low])
+    pivot = array[low]
+    i = low - 1, j = high + 1
+    loop:
+        do i = i + 1 while array[i] < pivot
+        do j = j - 1 while array[j] > pivot
+        if i >= j: return j
+        swap(array[i], array[j])`
+    },
+    'heap-sort': {
+        name: 'Heap Sort',
+        category: 'sorting',
+        description: 'Heap Sort arranges the array into a max heap, an implicit binary tree where every parent is at least as large as its children. It then repeatedly swaps the root (the maximum) to the end of the array and sifts the new root down to restore the heap.',
+        timeBest: 'O(n log n)',
+        timeAvg: 'O(n log n)',
+        timeWorst: 'O(n log n)',
+        space: 'O(1)',
+        useCase: 'Guaranteed O(n log n) sorting with no extra memory, such as embedded systems. Also the basis of priority queues and introsort\'s fallback when quicksort recursion gets too deep.',
+        pseudocode: `function heapSort(array):
+    n = length(array)
+    for i from n/2-1 down to 0:
+        siftDown(array, i, n)
+    for end from n-1 down to 1:
+        swap(array[0], array[end])
+        siftDown(array, 0, end)
+
+function siftDown(array, root, size):
+    while 2*root+1 < size:
+        largest = larger of root and its children
+        if largest == root:
+            return
+        swap(array[root], array[largest])
+        root = largest`
+    },
+    'counting-sort': {
+        name: 'Counting Sort',
+        category: 'sorting',
+        integerKeys: true,
+        description: 'Counting Sort tallies how many times each value occurs, turns the tallies into prefix sums that give every value its final position, then places elements directly into an output array. It never compares two elements.',
+        timeBest: 'O(n + k)',
+        timeAvg: 'O(n + k)',
+        timeWorst: 'O(n + k)',
+        space: 'O(n + k)',
+        useCase: 'Integers drawn from a small range k, such as ages, grades or histogram bins. Also the stable per-digit subroutine inside radix sort.',
+        pseudocode: `function countingSort(array):
+    count = array of zeros, one slot per value
+    for value in array:
+        count[value] += 1
+    for k from 1 to length(count)-1:
+        count[k] += count[k-1]
+    for i from n-1 down to 0:
+        count[array[i]] -= 1
+        output[count[array[i]]] = array[i]
+    copy output into array`
+    },
+    'radix-sort-lsd': {
+        name: 'Radix Sort (LSD)',
+        category: 'sorting',
+        integerKeys: true,
+        description: 'Least-significant-digit Radix Sort distributes elements into ten buckets by their ones digit, collects them back in order, and repeats for the tens, hundreds and so on. Because each pass is stable, earlier digit orderings survive later passes.',
+        timeBest: 'O(d · (n + b))',
+        timeAvg: 'O(d · (n + b))',
+        timeWorst: 'O(d · (n + b))',
+        space: 'O(n + b)',
+        useCase: 'Fixed-width integer keys such as IDs, zip codes or IP addresses, where d digit passes beat O(n log n) comparisons.',
+        pseudocode: `function radixSortLSD(array):
+    for exp = 1; max / exp > 0; exp *= 10:
+        buckets = 10 empty lists
+        for value in array:
+            buckets[(value / exp) % 10].append(value)
+        array = concatenate(buckets)`
+    },
+    'radix-sort-msd': {
+        name: 'Radix Sort (MSD)',
+        category: 'sorting',
+        integerKeys: true,
+        description: 'Most-significant-digit Radix Sort distributes elements by their leading digit, then recursively sorts each bucket by the next digit. Buckets holding a single element are finished early, so it can stop before examining every digit.',
+        timeBest: 'O(n + b)',
+        timeAvg: 'O(d · (n + b))',
+        timeWorst: 'O(d · (n + b))',
+        space: 'O(n + d · b)',
+        useCase: 'Strings and variable-length keys sorted lexicographically, and large key spaces where most elements are separated by their leading digits.',
+        pseudocode: `function radixSortMSD(array, low, high, exp):
+    if high <= low or exp < 1:
+        return
+    buckets = 10 empty lists
+    for i from low to high:
+        buckets[(array[i] / exp) % 10].append(array[i])
+    write buckets back into array[low...high]
+    for each bucket range [start, end]:
+        radixSortMSD(array, start, end, exp / 10)`
+    },
+    'bucket-sort': {
+        name: 'Bucket Sort',
+        category: 'sorting',
+        description: 'Bucket Sort splits the value range into equal-width buckets, scatters elements into them, sorts each small bucket with insertion sort and concatenates the results. Uniformly distributed input leaves every bucket nearly empty.',
+        timeBest: 'O(n + k)',
+        timeAvg: 'O(n + k)',
+        timeWorst: 'O(n²)',
+        space: 'O(n + k)',
+        useCase: 'Uniformly distributed data such as floating-point values in [0, 1) or evenly spread measurements. Skewed input piles into a few buckets and degrades to insertion sort.',
+        pseudocode: `function bucketSort(array, k):
+    buckets = k empty lists
+    for value in array:
+        buckets[(value - min) * k / (max - min + 1)].append(value)
+    for bucket in buckets:
+        insertionSort(bucket)
+    array = concatenate(buckets)`
+    },
+    'shell-sort': {
+        name: 'Shell Sort',
+        category: 'sorting',
+        description: 'Shell Sort runs insertion sort over elements a fixed gap apart, then repeats with smaller and smaller gaps down to 1. Early passes move elements long distances cheaply, so the final plain insertion sort has almost nothing left to do. The gap sequence decides how fast it runs.',
+        timeBest: 'O(n log n)',
+        timeAvg: 'O(n^1.25) to O(n^1.5), depending on gaps',
+        timeWorst: 'O(n²) with Shell\'s gaps, O(n^4/3) with Sedgewick\'s',
+        space: 'O(1)',
+        useCase: 'Medium-sized arrays in memory-constrained or embedded code, where a short in-place sort without recursion is preferred over Quick Sort.',
+        pseudocode: `function shellSort(array, gaps):
+    for gap in gaps (largest first):
+        for i from gap to length(array)-1:
+            key = array[i]
+            j = i - gap
+            while j >= 0 and array[j] > key:
+                array[j+gap] = array[j]
+                j = j - gap
+            array[j+gap] = key`
+    },
+    'comb-sort': {
+        name: 'Comb Sort',
+        category: 'sorting',
+        description: 'Comb Sort improves Bubble Sort by comparing elements a gap apart and shrinking the gap by a constant factor each pass. Large gaps quickly move small values ("turtles") off the end of the array; once the gap reaches 1 it finishes like Bubble Sort.',
+        timeBest: 'O(n log n)',
+        timeAvg: 'O(n² / 2^p) for p gap passes',
+        timeWorst: 'O(n²)',
+        space: 'O(1)',
+        useCase: 'A simple drop-in upgrade to Bubble Sort. A shrink factor around 1.3 works best; values near 1 waste passes and large values leave too much work for gap 1.',
+        pseudocode: `function combSort(array, shrink):
+    gap = length(array)
+    swapped = true
+    while gap > 1 or swapped:
+        gap = max(1, min(gap - 1, floor(gap / shrink)))
+        swapped = false
+        for i from 0 while i + gap < length(array):
+            if array[i] > array[i+gap]:
+                swap(array[i], array[i+gap])
+                swapped = true`
+    },
+    'tim-sort': {
+        name: 'Timsort',
+        category: 'sorting',
+        description: 'Timsort, the built-in sort of Python, Java (for objects) and V8, scans for natural runs that are already ordered, extends short ones to a minimum length with binary insertion, and merges runs from a stack whose lengths follow a Fibonacci-like invariant. Merges gallop past long stretches where one run keeps winning.',
+        timeBest: 'O(n)',
+        timeAvg: 'O(n log n)',
+        timeWorst: 'O(n log n)',
+        space: 'O(n)',
+        useCase: 'General-purpose library sorting of real-world data, which is often partially ordered: logs, appended records, concatenated sorted lists. Stable, so it is safe for multi-pass sorting by several keys.',
+        pseudocode: `function timsort(array):
+    minrun = computeMinRun(length(array))
+    while elements remain:
+        run = next natural run (reverse if descending)
+        if length(run) < minrun:
+            extend run to minrun with binary insertion
+        push run onto stack
+        while stack breaks |A| > |B| + |C| or |B| > |C|:
+            merge B with the smaller of A and C
+    merge all remaining runs
+    # merges switch to galloping after minGallop wins in a row`
+    },
+    'bitonic-sort': {
+        name: 'Bitonic Sort',
+        category: 'sorting',
+        network: true,
+        description: 'Bitonic Sort is a sorting network: a fixed arrangement of compare-exchange units that never depends on the data. It sorts the two halves in opposite directions to form a bitonic sequence, then merges it with half-cleaners. Every comparator in a layer can run at the same time, which suits GPUs and hardware.',
+        timeBest: 'O(n log² n)',
+        timeAvg: 'O(n log² n)',
+        timeWorst: 'O(n log² n)',
+        space: 'O(1), depth O(log² n)',
+        useCase: 'Parallel hardware: GPU sorting, FPGA pipelines and SIMD sorting of small fixed-size blocks, where a data-independent schedule matters more than the total comparison count.',
+        pseudocode: `function bitonicSort(lo, n, ascending):
+    if n > 1:
+        m = n / 2
+        bitonicSort(lo, m, not ascending)
+        bitonicSort(lo + m, n - m, ascending)
+        bitonicMerge(lo, n, ascending)
+
+function bitonicMerge(lo, n, ascending):
+    if n > 1:
+        m = largest power of two < n
+        for i from lo to lo + n - m - 1:   # in parallel
+            compareExchange(i, i + m, ascending)
+        bitonicMerge(lo, m, ascending)
+        bitonicMerge(lo + m, n - m, ascending)`
+    },
+    'odd-even-merge-sort': {
+        name: 'Odd-Even Merge Sort',
+        category: 'sorting',
+        network: true,
+        description: "Batcher's odd-even merge sort is a sorting network that merges sorted halves by recursively merging their odd and even subsequences, then fixing neighbors with one final layer. It has the same depth as Bitonic Sort but uses fewer comparators.",
+        timeBest: 'O(n log² n)',
+        timeAvg: 'O(n log² n)',
+        timeWorst: 'O(n log² n)',
+        space: 'O(1), depth O(log² n)',
+        useCase: 'Hardware and parallel sorting where comparator count matters, such as switching networks and fixed-size sorting kernels.',
+        pseudocode: `function mergeExchange(array):   # Knuth 5.2.2M
+    t = ceil(log2(n))
+    for p = 2^(t-1), 2^(t-2), ..., 1:
+        q = 2^(t-1), r = 0, d = p
+        while d > 0:
+            for i from 0 to n - d - 1:   # in parallel
+                if i & p == r:
+                    compareExchange(i, i + d)
+            d = q - p, q = q / 2, r = p`
     },
     'bfs': {
         name: 'Breadth-First Search',
@@ -111,20 +364,25 @@ function merge(array, left, mid, right):
         timeWorst: 'O((V + E) log V)',
         space: 'O(V)',
         useCase: 'GPS navigation, network routing protocols, social network recommendations, and any scenario requiring shortest path in weighted graphs with non-negative weights.',
-        pseudocode: `function dijkstra(graph, start):
+        pseudocode: `function dijkstra(graph, start, goal):
     dist = array of infinity
     dist[start] = 0
+    prev = {}
     pq = new PriorityQueue()
     pq.add(start, 0)
     
     while pq is not empty:
         node = pq.extractMin()
+        if node == goal:
+            return reconstructPath(prev, node)
         
         for neighbor, weight in graph[node]:
             newDist = dist[node] + weight
             if newDist < dist[neighbor]:
                 dist[neighbor] = newDist
-                pq.add(neighbor, newDist)`
+                prev[neighbor] = node
+                pq.add(neighbor, newDist)
+    return no path`
     },
     'astar': {
         name: 'A* Algorithm',
@@ -152,7 +410,8 @@ function merge(array, left, mid, right):
             if tentativeG < gScore[neighbor]:
                 cameFrom[neighbor] = current
                 gScore[neighbor] = tentativeG
-                fScore[neighbor] = gScore[neighbor] + heuristic(neighbor, goal)`
+                fScore[neighbor] = gScore[neighbor] + heuristic(neighbor, goal)
+    return no path`
     },
     'tree-preorder': {
         name: 'Preorder Traversal',
@@ -210,6 +469,7 @@ export const COLORS = {
     SWAPPING: '#ef4444',
     SORTED: '#10b981',
     CURRENT: '#5b8dee',
+    PIVOT: '#ec4899',
     VISITED: '#7c3aed',
     PATH: '#10b981',
     WALL: '#1e2749',
@@ -224,7 +484,8 @@ export const LEGEND_ITEMS = {
         { color: COLORS.COMPARING, label: 'Comparing' },
         { color: COLORS.SWAPPING, label: 'Swapping' },
         { color: COLORS.SORTED, label: 'Sorted' },
-        { color: COLORS.CURRENT, label: 'Current' }
+        { color: COLORS.CURRENT, label: 'Current' },
+        { color: COLORS.PIVOT, label: 'Pivot' }
     ],
     graph: [
         { color: COLORS.DEFAULT, label: 'Unvisited' },
@@ -248,10 +509,61 @@ export const LEGEND_ITEMS = {
     ]
 };
 
+// Step types marked on the timeline track
+export const TIMELINE_EVENTS = {
+    'swap': { label: 'Swap', color: COLORS.SWAPPING },
+    'early-exit': { label: 'Early exit', color: COLORS.SORTED },
+    'backtrack': { label: 'Backtrack', color: COLORS.FRONTIER },
+    'path-found': { label: 'Path found', color: COLORS.PATH },
+    'no-path': { label: 'No path', color: COLORS.END }
+};
+
+// Example rule shown in the breakpoint input for each kind
+export const BREAKPOINT_EXAMPLES = {
+    'type': 'e.g. swap, backtrack, path-found',
+    'condition': 'e.g. distance > 10, depth == 3',
+    'index': 'e.g. 7',
+    'cell': 'e.g. 5, 12 (row, column)'
+};
+
+// Keyboard shortcuts listed on the cheat sheet; keys are matched in main.js
+export const KEYBOARD_SHORTCUTS = [
+    { key: 'Space', action: 'Play / pause' },
+    { key: 'R', action: 'Play in reverse' },
+    { key: '→', action: 'Step forward' },
+    { key: '←', action: 'Step back' },
+    { key: 'Home', action: 'Jump to the first step' },
+    { key: 'End', action: 'Jump to the last step generated so far' },
+    { key: '+', action: 'Faster' },
+    { key: '-', action: 'Slower' },
+    { key: '?', action: 'Show or hide this sheet' },
+    { key: 'Esc', action: 'Close this sheet' }
+];
+
+// Speed slider range and the playback rates at its ends (spaced logarithmically in between)
 export const ANIMATION_SPEEDS = {
     MIN: 1,
     MAX: 100,
-    DEFAULT: 50
+    DEFAULT: 50,
+    KEY_STEP: 5, // Slider change per +/- key press
+    MIN_STEPS_PER_SECOND: 1,
+    MAX_STEPS_PER_SECOND: 5000
+};
+
+// Tweened transitions between steps: their share of the time per step, the longest
+// one, and the shortest time per step that still gets one (faster speeds jump straight to each step)
+export const TRANSITIONS = {
+    SHARE: 0.8,
+    MAX_MS: 400,
+    MIN_STEP_MS: 40
+};
+
+export const CUSTOM_ARRAY_LIMITS = {
+    MAX_SIZE: 2000,
+    // Sorts with quadraticSteps record about n² steps on unlucky input (4M at n = 2000),
+    // more than the page can keep; they are held to this many elements
+    MAX_QUADRATIC_SIZE: 300,
+    MAX_VALUE: 999
 };
 
 export const GRID_CONFIG = {
@@ -3,6 +3,8 @@
  * Pure functions for common operations
  */
 
+import { ANIMATION_SPEEDS, TRANSITIONS } from './constants.js';
+
 /**
  * Generate random array of specified size
  * @param {number} size - Array length
@@ -16,6 +18,100 @@ export function generateRandomArray(size, min = 10, max = 500) {
     );
 }
 
+/**
+ * Generate an array following a named input distribution
+ * @param {number} size - Array length
+ * @param {string} distribution - 'random', 'nearly-sorted', 'reversed', 'few-unique',
+ *                                'all-equal', 'sawtooth', 'organ-pipe' or 'gaussian'
+ * @param {number} min - Minimum value
+ * @param {number} max - Maximum value
+ * @returns {number[]} Generated array
+ */
+export function generateArray(size, distribution = 'random', min = 10, max = 500) {
+    const range = max - min;
+    const ascending = Array.from({ length: size }, (_, i) => 
+        min + Math.round(size > 1 ? (i * range) / (size - 1) : 0)
+    );
+    
+    switch (distribution) {
+        case 'nearly-sorted': {
+            // Swap a few elements with a nearby neighbour
+            const swaps = Math.max(1, Math.floor(size * 0.05));
+            for (let s = 0; s < swaps && size > 1; s++) {
+                const i = Math.floor(Math.random() * size);
+                const j = Math.min(size - 1, i + 1 + Math.floor(Math.random() * 3));
+                swap(ascending, i, j);
+            }
+            return ascending;
+        }
+        case 'reversed':
+            return ascending.reverse();
+        case 'few-unique': {
+            const distinct = Array.from({ length: 4 }, (_, k) => min + Math.round(((k + 1) * range) / 5));
+            return Array.from({ length: size }, () => distinct[Math.floor(Math.random() * distinct.length)]);
+        }
+        case 'all-equal':
+            return new Array(size).fill(min + Math.round(range / 2));
+        case 'sawtooth': {
+            const toothLength = Math.max(2, Math.ceil(size / 4));
+            return Array.from({ length: size }, (_, i) => 
+                min + Math.round(((i % toothLength) * range) / (toothLength - 1))
+            );
+        }
+        case 'organ-pipe': {
+            const half = Math.ceil(size / 2);
+            return Array.from({ length: size }, (_, i) => {
+                const rank = i < half ? i : size - 1 - i;
+                return min + Math.round(half > 1 ? (rank * range) / (half - 1) : 0);
+            });
+        }
+        case 'gaussian':
+            return Array.from({ length: size }, () => {
+                // Box-Muller transform, clamped to [min, max]
+                const u = 1 - Math.random();
+                const v = Math.random();
+                const z = Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+                const value = Math.round(min + range / 2 + z * (range / 6));
+                return Math.max(min, Math.min(max, value));
+            });
+        default:
+            return generateRandomArray(size, min, max);
+    }
+}
+
+/**
+ * Parse a comma/space separated list of numbers typed by the user
+ * @param {string} text - Raw input text
+ * @param {number} maxSize - Maximum number of values allowed
+ * @param {number} maxValue - Largest value allowed
+ * @returns {Object} { values } on success, { error } describing the problem otherwise
+ */
+export function parseArrayInput(text, maxSize, maxValue) {
+    const tokens = text.split(/[\s,]+/).filter(token => token !== '');
+    
+    if (tokens.length === 0) {
+        return { error: 'Enter at least one number, e.g. "5, 3, 8, 1".' };
+    }
+    
+    if (tokens.length > maxSize) {
+        return { error: `Too many values: ${tokens.length} given, the limit is ${maxSize}.` };
+    }
+    
+    const values = [];
+    for (const token of tokens) {
+        const value = Number(token);
+        if (!Number.isFinite(value)) {
+            return { error: `"${token}" is not a number.` };
+        }
+        if (value < 0 || value > maxValue) {
+            return { error: `${token} is out of range. Values must be between 0 and ${maxValue}.` };
+        }
+        values.push(value);
+    }
+    
+    return { values };
+}
+
 /**
  * Create delay for animation timing
  * @param {number} ms - Milliseconds to delay
@@ -25,15 +121,49 @@ export function delay(ms) {
     return new Promise(resolve => setTimeout(resolve, ms));
 }
 
+/**
+ * Map speed slider value to a playback rate. The scale is logarithmic, from
+ * one step per second at the slowest setting to thousands at the fastest.
+ * @param {number} speedValue - Slider value (1-100)
+ * @returns {number} Steps per second
+ */
+export function speedToStepsPerSecond(speedValue) {
+    const { MIN, MAX, MIN_STEPS_PER_SECOND, MAX_STEPS_PER_SECOND } = ANIMATION_SPEEDS;
+    const position = (Math.max(MIN, Math.min(MAX, speedValue)) - MIN) / (MAX - MIN);
+    return MIN_STEPS_PER_SECOND * Math.pow(MAX_STEPS_PER_SECOND / MIN_STEPS_PER_SECOND, position);
+}
+
 /**
  * Map speed slider value to milliseconds
  * Inverse relationship: higher speed = lower delay
  * @param {number} speedValue - Slider value (1-100)
- * @returns {number} Delay in milliseconds
+ * @returns {number} Milliseconds per step, fractional at high speeds
  */
 export function speedToDelay(speedValue) {
-    // Map 1-100 to 1000ms-10ms (logarithmic scale for better UX)
-    return Math.floor(1000 / speedValue);
+    return 1000 / speedToStepsPerSecond(speedValue);
+}
+
+/**
+ * Length of the tweened transition into each step at a speed
+ * @param {number} speedValue - Slider value (1-100)
+ * @returns {number} Milliseconds, or 0 when steps go by too fast to animate
+ */
+export function speedToTransition(speedValue) {
+    const stepMs = speedToDelay(speedValue);
+    if (stepMs < TRANSITIONS.MIN_STEP_MS) return 0;
+    return Math.min(TRANSITIONS.MAX_MS, stepMs * TRANSITIONS.SHARE);
+}
+
+/**
+ * Format a playback rate for the speed readout
+ * @param {number} stepsPerSecond - Playback rate
+ * @returns {string} e.g. "1.5 steps/s" or "2,400 steps/s"
+ */
+export function formatStepRate(stepsPerSecond) {
+    const rate = stepsPerSecond < 10
+        ? stepsPerSecond.toFixed(1)
+        : Math.round(stepsPerSecond).toLocaleString();
+    return `${rate} steps/s`;
 }
 
 /**
@@ -194,6 +324,244 @@ export function reconstructPath(parentMap, start, end) {
     return path;
 }
 
+/**
+ * Sortable value tagged with its original position
+ * valueOf() lets sorting code compare records exactly like plain numbers,
+ * while the tag reveals whether equal keys kept their relative order.
+ */
+export class SortRecord {
+    constructor(value, tag) {
+        this.value = value;
+        this.tag = tag;
+    }
+    
+    valueOf() {
+        return this.value;
+    }
+    
+    toString() {
+        return String(this.value);
+    }
+}
+
+/**
+ * Sortable row of user data (e.g. { name, age, dept })
+ * Its value is the row's dense rank under the chosen sort keys, so every sort
+ * orders rows by those keys while still comparing plain numbers.
+ */
+export class KeyedRecord extends SortRecord {
+    constructor(value, tag, label, fields) {
+        super(value, tag);
+        this.label = label;
+        this.fields = fields;
+    }
+    
+    toString() {
+        return this.label;
+    }
+}
+
+/**
+ * Wrap plain values as records tagged with their original index.
+ * Values that are already records keep their own tag.
+ * @param {Array} values - Values to tag
+ * @returns {SortRecord[]} Tagged records
+ */
+export function tagRecords(values) {
+    return values.map((value, index) => (value instanceof SortRecord ? value : new SortRecord(value, index)));
+}
+
+/**
+ * Restore record prototypes on a value copied between threads. postMessage keeps
+ * only own fields, so records arrive as plain { value, tag } objects.
+ * @param {*} value - Structured clone, walked through arrays and plain objects
+ * @returns {*} The same data with SortRecord and KeyedRecord instances restored
+ */
+export function reviveRecords(value) {
+    if (Array.isArray(value)) return value.map(reviveRecords);
+    if (!value || typeof value !== 'object' || Object.getPrototypeOf(value) !== Object.prototype) return value;
+    
+    if ('value' in value && 'tag' in value) {
+        return 'label' in value
+            ? new KeyedRecord(value.value, value.tag, value.label, value.fields)
+            : new SortRecord(value.value, value.tag);
+    }
+    
+    const revived = {};
+    for (const [key, item] of Object.entries(value)) {
+        revived[key] = reviveRecords(item);
+    }
+    return revived;
+}
+
+/**
+ * Split one CSV line, honoring double-quoted fields ("a, b" and "" escapes)
+ * @param {string} line - CSV line
+ * @returns {string[]} Trimmed fields
+ */
+function splitCSVLine(line) {
+    const fields = [];
+    let field = '';
+    let quoted = false;
+    
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quoted) {
+            if (char === '"' && line[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            fields.push(field.trim());
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    
+    fields.push(field.trim());
+    return fields;
+}
+
+/**
+ * Parse pasted records: a JSON array of objects, or CSV with a header row.
+ * Numeric-looking CSV cells become numbers.
+ * @param {string} text - Raw input text
+ * @param {number} maxSize - Maximum number of records allowed
+ * @returns {Object} { records, fields } on success, { error } describing the problem otherwise
+ */
+export function parseRecordInput(text, maxSize) {
+    const trimmed = text.trim();
+    let records;
+    
+    if (trimmed === '') {
+        return { error: 'Paste a JSON array of objects or CSV with a header row.' };
+    }
+    
+    if (trimmed.startsWith('[')) {
+        try {
+            records = JSON.parse(trimmed);
+        } catch (e) {
+            return { error: `Invalid JSON: ${e.message}` };
+        }
+        if (!records.every(record => record !== null && typeof record === 'object' && !Array.isArray(record))) {
+            return { error: 'Every JSON array entry must be an object, e.g. {"name": "Ada", "age": 36}.' };
+        }
+    } else {
+        const lines = trimmed.split(/\r?\n/).filter(line => line.trim() !== '');
+        const header = splitCSVLine(lines[0]);
+        if (header.some(name => name === '')) {
+            return { error: 'The CSV header row has an empty column name.' };
+        }
+        
+        records = [];
+        for (let i = 1; i < lines.length; i++) {
+            const cells = splitCSVLine(lines[i]);
+            if (cells.length !== header.length) {
+                return { error: `CSV line ${i + 1} has ${cells.length} fields, the header has ${header.length}.` };
+            }
+            const record = {};
+            header.forEach((name, k) => {
+                const number = Number(cells[k]);
+                record[name] = cells[k] !== '' && Number.isFinite(number) ? number : cells[k];
+            });
+            records.push(record);
+        }
+    }
+    
+    if (records.length === 0) {
+        return { error: 'No records found.' };
+    }
+    
+    if (records.length > maxSize) {
+        return { error: `Too many records: ${records.length} given, the limit is ${maxSize}.` };
+    }
+    
+    const fields = [...new Set(records.flatMap(record => Object.keys(record)))];
+    return { records, fields };
+}
+
+/**
+ * Parse a sort key list such as "dept asc, age desc"
+ * @param {string} text - Raw key list; direction defaults to asc
+ * @param {string[]} fields - Field names present in the records
+ * @returns {Object} { keys: [{ field, descending }] } on success, { error } otherwise
+ */
+export function parseSortKeys(text, fields) {
+    const parts = text.split(',').map(part => part.trim()).filter(part => part !== '');
+    
+    if (parts.length === 0) {
+        return { error: `Enter at least one sort key, e.g. "${fields[0]} asc".` };
+    }
+    
+    const keys = [];
+    for (const part of parts) {
+        const match = part.match(/^(.+?)(?:\s+(asc|desc))?$/i);
+        const field = match[1].trim();
+        if (!fields.includes(field)) {
+            return { error: `Unknown field "${field}". Available fields: ${fields.join(', ')}.` };
+        }
+        keys.push({ field, descending: (match[2] || '').toLowerCase() === 'desc' });
+    }
+    
+    return { keys };
+}
+
+/**
+ * Build a comparator that orders records by several keys in turn.
+ * Numbers compare numerically, anything else as text; missing values sort first.
+ * @param {Array} keys - Array of { field, descending }
+ * @returns {Function} (a, b) => negative, zero or positive
+ */
+export function compareByKeys(keys) {
+    return (a, b) => {
+        for (const { field, descending } of keys) {
+            const left = a[field] === undefined || a[field] === null ? '' : a[field];
+            const right = b[field] === undefined || b[field] === null ? '' : b[field];
+            const order = typeof left === 'number' && typeof right === 'number'
+                ? left - right
+                : String(left).localeCompare(String(right));
+            if (order !== 0) return descending ? -order : order;
+        }
+        return 0;
+    };
+}
+
+/**
+ * Turn records into sortable KeyedRecords. Each record's value is its dense rank
+ * (1 = first) under the key comparator, so records with equal keys share a value
+ * and stability can be checked on their tags.
+ * @param {Object[]} records - Parsed records
+ * @param {Array} keys - Array of { field, descending }
+ * @param {string} labelField - Field shown on each bar
+ * @returns {KeyedRecord[]} Records in their original order
+ */
+export function rankRecords(records, keys, labelField) {
+    const compare = compareByKeys(keys);
+    const order = records.map((_, index) => index).sort((a, b) => compare(records[a], records[b]));
+    const ranks = new Array(records.length);
+    
+    order.forEach((index, position) => {
+        const previous = order[position - 1];
+        if (position === 0) {
+            ranks[index] = 1;
+        } else {
+            ranks[index] = ranks[previous] + (compare(records[previous], records[index]) === 0 ? 0 : 1);
+        }
+    });
+    
+    return records.map((record, index) => {
+        const label = record[labelField] === undefined ? `#${index}` : String(record[labelField]);
+        return new KeyedRecord(ranks[index], index, label, record);
+    });
+}
+
 /**
  * Priority Queue implementation for pathfinding algorithms
  */
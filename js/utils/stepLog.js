@@ -0,0 +1,380 @@
+/**
+ * Step Log
+ * Delta-encoded storage for animation steps
+ *
+ * Generators register the structures they mutate (the array being sorted, the
+ * set of sorted indices, visited grid cells, ...) as channels and change them
+ * only through the log. Each step then stores its own fields plus the list of
+ * operations applied since the previous step, instead of a full copy of every
+ * structure. Full snapshots (keyframes) are taken periodically, so any step is
+ * rebuilt by restoring the nearest earlier keyframe and replaying from there.
+ *
+ * Algorithms are generator functions that yield the log after every step they
+ * record. streamSteps starts one and returns its log, which then runs the
+ * generator only as far as the steps asked for so far. A log can also be filled
+ * from elsewhere (the step worker) through receive(); its source then only marks
+ * that more steps are on the way.
+ */
+
+// Longest run of steps between two keyframes
+export const KEYFRAME_INTERVAL = 256;
+
+// Shared by every step that changes no channel
+const NO_OPS = Object.freeze([]);
+
+/**
+ * Copy a channel value. Arrays of arrays (bucket lists) are copied one level deeper.
+ * @param {Array|Set} value - Channel state
+ * @returns {Array|Set} Independent copy
+ */
+function copyChannel(value) {
+    if (value instanceof Set) return new Set(value);
+    return value.map(item => (Array.isArray(item) ? [...item] : item));
+}
+
+/**
+ * Count the elements held by a channel
+ * @param {Array|Set} value - Channel state
+ * @returns {number} Element count, including the contents of nested arrays
+ */
+function channelSize(value) {
+    if (value instanceof Set) return value.size;
+    return value.reduce((sum, item) => sum + (Array.isArray(item) ? item.length + 1 : 1), 0);
+}
+
+/**
+ * Apply one recorded operation to a set of channels
+ * @param {Object} channels - Channel states by name
+ * @param {Array} op - [code, channel, a, b]
+ */
+function applyOp(channels, [code, name, a, b]) {
+    const channel = channels[name];
+    
+    switch (code) {
+        case 'set':
+            channel[a] = Array.isArray(b) ? [...b] : b;
+            break;
+        case 'swap': {
+            const temp = channel[a];
+            channel[a] = channel[b];
+            channel[b] = temp;
+            break;
+        }
+        case 'add':
+            channel.add(a);
+            break;
+        case 'append':
+            channel[a].push(b);
+            break;
+        case 'shift':
+            channel[a].shift();
+            break;
+    }
+}
+
+/**
+ * Start a step generator and return the log it records into. The generator runs
+ * up to its first step now; later steps are produced on demand.
+ * @param {Generator<StepLog>} source - Algorithm generator, yielding its log after each step
+ * @returns {StepLog} Lazily filled step log
+ */
+export function streamSteps(source) {
+    const { value, done } = source.next();
+    const log = value || new StepLog();
+    log.source = done ? null : source;
+    return log;
+}
+
+/**
+ * Run a step generator to the end without keeping its steps
+ * @param {Generator<StepLog>} source - Algorithm generator, yielding its log after each step
+ * @returns {Object} { stats, steps }: stats of the last step (null when it has none) and the step count
+ */
+export function summarizeSteps(source) {
+    const { value: log, done } = source.next();
+    if (done) return { stats: null, steps: 0 };
+    
+    // Only the newest step is held on to
+    let last = log.entries[0].fields;
+    let steps = 1;
+    log.sink = entry => {
+        last = entry.fields;
+        steps++;
+    };
+    while (!source.next().done);
+    
+    return { stats: last.stats || null, steps };
+}
+
+export class StepLog {
+    /**
+     * @param {Object} channels - Live structures by name, e.g. { array, sorted: new Set() }.
+     * The log keeps references to them and mutates them when operations are recorded.
+     */
+    constructor(channels = {}) {
+        this.channels = channels;
+        this.entries = [];
+        this.pending = [];
+        
+        // Generator still producing steps (or a remote source delivering them through
+        // receive()), null once every step is in
+        this.source = null;
+        
+        // When set, steps are handed to this callback as { fields, ops } instead of stored
+        this.sink = null;
+        
+        // Snapshots sorted by step index, and the cost of the deltas since the last one
+        this.keyframes = [];
+        this.opsSinceKeyframe = 0;
+        this.keyframeSize = 0;
+        
+        // Working state for replays, positioned at step `cursor`
+        this.cursor = -1;
+        this.state = null;
+        this.current = null;
+    }
+    
+    /**
+     * Number of steps recorded so far
+     * @returns {number}
+     */
+    get length() {
+        return this.entries.length;
+    }
+    
+    /**
+     * Whether every step has been produced, making length the final step count
+     * @returns {boolean}
+     */
+    get finished() {
+        return this.source === null;
+    }
+    
+    /**
+     * Run the generator until at least `count` steps exist or it returns. Remote
+     * sources send every step unasked, so for them this waits on receive() instead.
+     * @param {number} count - Steps wanted
+     */
+    produce(count) {
+        if (this.source && !this.source.next) return;
+        
+        while (this.source && this.entries.length < count) {
+            if (this.source.next().done) this.source = null;
+        }
+    }
+    
+    /**
+     * Produce every remaining step
+     * @returns {StepLog} This log
+     */
+    drain() {
+        this.produce(Infinity);
+        return this;
+    }
+    
+    /**
+     * Check whether a step exists, producing steps up to it if needed
+     * @param {number} index - Step index
+     * @returns {boolean}
+     */
+    has(index) {
+        this.produce(index + 1);
+        return index >= 0 && index < this.entries.length;
+    }
+    
+    /**
+     * Queue an operation for the next step and apply it to the live channel
+     * @param {Array} op - [code, channel, a, b]
+     */
+    record(op) {
+        applyOp(this.channels, op);
+        this.pending.push(op);
+    }
+    
+    /**
+     * Write a value into an array channel
+     * @param {string} channel - Channel name
+     * @param {number} index - Position to write
+     * @param {*} value - New value (arrays are copied)
+     */
+    set(channel, index, value) {
+        this.record(['set', channel, index, Array.isArray(value) ? [...value] : value]);
+    }
+    
+    /**
+     * Exchange two positions of an array channel
+     * @param {string} channel - Channel name
+     * @param {number} i - First position
+     * @param {number} j - Second position
+     */
+    swap(channel, i, j) {
+        this.record(['swap', channel, i, j]);
+    }
+    
+    /**
+     * Add a key to a Set channel. Keys already present record nothing.
+     * @param {string} channel - Channel name
+     * @param {*} key - Key to add
+     */
+    add(channel, key) {
+        if (this.channels[channel].has(key)) return;
+        this.record(['add', channel, key]);
+    }
+    
+    /**
+     * Push a value onto one list of a channel holding lists (e.g. buckets)
+     * @param {string} channel - Channel name
+     * @param {number} index - List position
+     * @param {*} value - Value to append
+     */
+    append(channel, index, value) {
+        this.record(['append', channel, index, value]);
+    }
+    
+    /**
+     * Remove and return the first value of one list of a list channel
+     * @param {string} channel - Channel name
+     * @param {number} index - List position
+     * @returns {*} Removed value
+     */
+    shift(channel, index) {
+        const value = this.channels[channel][index][0];
+        this.record(['shift', channel, index]);
+        return value;
+    }
+    
+    /**
+     * Record a step. Its channel state is whatever the operations recorded so far produced.
+     * @param {Object} fields - Step fields other than the channels
+     * @returns {StepLog} This log, for generators to yield
+     */
+    push(fields) {
+        // Copied so the stored list holds no spare capacity from the pushes that grew it
+        const ops = this.pending.length > 0 ? this.pending.slice() : NO_OPS;
+        this.pending.length = 0;
+        
+        if (this.sink) {
+            this.sink({ fields, ops });
+            return this;
+        }
+        
+        this.entries.push({ fields, ops });
+        this.opsSinceKeyframe += ops.length;
+        
+        // Keyframes never outweigh the deltas they cover, and seeks replay a bounded number of steps
+        const index = this.entries.length - 1;
+        const sinceKeyframe = this.keyframes.length > 0 ? index - this.keyframes[this.keyframes.length - 1].index : Infinity;
+        if (sinceKeyframe >= KEYFRAME_INTERVAL || this.opsSinceKeyframe > this.keyframeSize) {
+            this.snapshot(index);
+        }
+        
+        return this;
+    }
+    
+    /**
+     * Append steps recorded by another log, replaying their operations on this one's channels
+     * @param {Array} entries - Steps as { fields, ops }
+     */
+    receive(entries) {
+        entries.forEach(({ fields, ops }) => {
+            ops.forEach(op => this.record(op));
+            this.push(fields);
+        });
+    }
+    
+    /**
+     * Store a keyframe of the live channels at a step
+     * @param {number} index - Step index
+     */
+    snapshot(index) {
+        const state = {};
+        let size = 0;
+        for (const [name, value] of Object.entries(this.channels)) {
+            state[name] = copyChannel(value);
+            size += channelSize(value);
+        }
+        
+        this.keyframes.push({ index, state });
+        this.opsSinceKeyframe = 0;
+        this.keyframeSize = size;
+    }
+    
+    /**
+     * Find the last keyframe at or before a step
+     * @param {number} index - Step index
+     * @returns {Object} Keyframe { index, state }
+     */
+    keyframeBefore(index) {
+        let low = 0;
+        let high = this.keyframes.length - 1;
+        while (low < high) {
+            const mid = (low + high + 1) >> 1;
+            if (this.keyframes[mid].index <= index) {
+                low = mid;
+            } else {
+                high = mid - 1;
+            }
+        }
+        return this.keyframes[low];
+    }
+    
+    /**
+     * Read the stored fields of a step already produced, without rebuilding its channels
+     * @param {number} index - Step index
+     * @returns {Object|null} Fields as recorded (type, description, ...), or null when not produced yet
+     */
+    peek(index) {
+        const entry = this.entries[index];
+        return entry ? entry.fields : null;
+    }
+    
+    /**
+     * Rebuild a step with its channels, producing it first if needed. Moving forward
+     * replays from the previous position; jumping elsewhere restores the nearest keyframe first.
+     * @param {number} index - Step index
+     * @returns {Object|null} Step with a copy of every channel, or null when out of range
+     */
+    get(index) {
+        if (!this.has(index)) return null;
+        if (index === this.cursor) return this.current;
+        
+        const keyframe = this.keyframeBefore(index);
+        if (this.cursor > index || this.cursor < keyframe.index) {
+            this.state = {};
+            for (const [name, value] of Object.entries(keyframe.state)) {
+                this.state[name] = copyChannel(value);
+            }
+            this.cursor = keyframe.index;
+        }
+        
+        for (let i = this.cursor + 1; i <= index; i++) {
+            this.entries[i].ops.forEach(op => applyOp(this.state, op));
+        }
+        this.cursor = index;
+        this.current = this.materialize(this.entries[index].fields);
+        return this.current;
+    }
+    
+    /**
+     * Combine step fields with copies of the working channel state. Auxiliary
+     * entries naming a `channel` receive its contents as `values` (or `buckets`).
+     * @param {Object} fields - Stored step fields
+     * @returns {Object} Complete step
+     */
+    materialize(fields) {
+        const step = { ...fields };
+        for (const [name, value] of Object.entries(this.state)) {
+            step[name] = copyChannel(value);
+        }
+        
+        if (fields.auxiliary) {
+            step.auxiliary = fields.auxiliary.map(entry => {
+                if (!entry.channel) return entry;
+                const key = entry.type === 'buckets' ? 'buckets' : 'values';
+                return { ...entry, [key]: step[entry.channel] };
+            });
+        }
+        
+        return step;
+    }
+}
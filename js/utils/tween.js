@@ -0,0 +1,63 @@
+/**
+ * Tween
+ * Frame-by-frame interpolation for transitions between animation steps
+ */
+
+/**
+ * Ease in and out, so movement starts and settles gently
+ * @param {number} t - Linear progress (0-1)
+ * @returns {number} Eased progress (0-1)
+ */
+export function easeInOut(t) {
+    return t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2;
+}
+
+/**
+ * Interpolate between two numbers
+ * @param {number} from - Value at progress 0
+ * @param {number} to - Value at progress 1
+ * @param {number} progress - Progress (0-1)
+ * @returns {number}
+ */
+export function lerp(from, to, progress) {
+    return from + (to - from) * progress;
+}
+
+export class Tween {
+    constructor() {
+        this.frame = null; // Pending animation frame while a tween runs
+    }
+    
+    /**
+     * Call draw on every animation frame with eased progress from 0 to 1.
+     * A tween already running is cancelled; a zero duration draws the end state at once.
+     * @param {number} duration - Milliseconds
+     * @param {Function} draw - Callback (progress)
+     */
+    start(duration, draw) {
+        this.cancel();
+        if (duration <= 0) {
+            draw(1);
+            return;
+        }
+        
+        const startTime = performance.now();
+        const frame = (time) => {
+            const t = Math.min(1, Math.max(0, (time - startTime) / duration));
+            this.frame = t < 1 ? requestAnimationFrame(frame) : null;
+            draw(easeInOut(t));
+        };
+        
+        draw(0);
+        this.frame = requestAnimationFrame(frame);
+    }
+    
+    /**
+     * Stop the running tween where it is
+     */
+    cancel() {
+        if (this.frame === null) return;
+        cancelAnimationFrame(this.frame);
+        this.frame = null;
+    }
+}
@@ -0,0 +1,189 @@
+/**
+ * Benchmark Chart
+ * Plots measured operation counts against fitted theoretical curves on log-log axes
+ */
+
+export class BenchmarkChart {
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.margin = { top: 20, right: 20, bottom: 40, left: 70 };
+    }
+    
+    /**
+     * Resize canvas
+     */
+    resize() {
+        const container = this.canvas.parentElement;
+        this.canvas.width = container.clientWidth - 40;
+        this.canvas.height = container.clientHeight - 40;
+    }
+    
+    /**
+     * Draw all series
+     * @param {Array} series - Array of { label, color, points: [{ n, value }], curve: { label, constant, fn } }
+     * @param {string} metric - Name of the plotted counter, for the axis title
+     */
+    render(series, metric) {
+        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        
+        const points = series.flatMap(entry => entry.points).filter(point => point.value > 0);
+        if (points.length === 0) {
+            this.ctx.fillStyle = '#6b7599';
+            this.ctx.font = '14px sans-serif';
+            this.ctx.textAlign = 'center';
+            this.ctx.fillText('Run the benchmark to plot results', this.canvas.width / 2, this.canvas.height / 2);
+            return;
+        }
+        
+        const sizes = points.map(point => point.n);
+        const values = points.map(point => point.value);
+        this.bounds = {
+            minN: Math.min(...sizes),
+            maxN: Math.max(...sizes),
+            minValue: Math.max(1, Math.min(...values) / 2),
+            maxValue: Math.max(...values) * 2
+        };
+        
+        this.drawAxes(metric);
+        series.forEach(entry => this.drawSeries(entry));
+        this.drawLegend(series);
+    }
+    
+    /**
+     * Map a size to a canvas x coordinate (log2 scale)
+     * @param {number} n - Input size
+     * @returns {number} Canvas x
+     */
+    x(n) {
+        const { minN, maxN } = this.bounds;
+        const width = this.canvas.width - this.margin.left - this.margin.right;
+        const span = Math.log2(maxN) - Math.log2(minN) || 1;
+        return this.margin.left + ((Math.log2(n) - Math.log2(minN)) / span) * width;
+    }
+    
+    /**
+     * Map a count to a canvas y coordinate (log10 scale)
+     * @param {number} value - Operation count
+     * @returns {number} Canvas y
+     */
+    y(value) {
+        const { minValue, maxValue } = this.bounds;
+        const height = this.canvas.height - this.margin.top - this.margin.bottom;
+        const span = Math.log10(maxValue) - Math.log10(minValue) || 1;
+        const clamped = Math.max(minValue, Math.min(maxValue, value));
+        return this.canvas.height - this.margin.bottom - ((Math.log10(clamped) - Math.log10(minValue)) / span) * height;
+    }
+    
+    /**
+     * Draw grid lines, ticks and axis titles
+     * @param {string} metric - Plotted counter name
+     */
+    drawAxes(metric) {
+        const { minN, maxN, minValue, maxValue } = this.bounds;
+        const left = this.margin.left;
+        const right = this.canvas.width - this.margin.right;
+        const top = this.margin.top;
+        const bottom = this.canvas.height - this.margin.bottom;
+        
+        this.ctx.strokeStyle = '#2a3458';
+        this.ctx.fillStyle = '#6b7599';
+        this.ctx.lineWidth = 1;
+        this.ctx.font = '11px monospace';
+        
+        // Powers of two along n
+        this.ctx.textAlign = 'center';
+        for (let n = minN; n <= maxN; n *= 2) {
+            this.ctx.beginPath();
+            this.ctx.moveTo(this.x(n), top);
+            this.ctx.lineTo(this.x(n), bottom);
+            this.ctx.stroke();
+            this.ctx.fillText(n, this.x(n), bottom + 16);
+        }
+        
+        // Powers of ten along the counts
+        this.ctx.textAlign = 'right';
+        for (let value = 10 ** Math.ceil(Math.log10(minValue)); value <= maxValue; value *= 10) {
+            this.ctx.beginPath();
+            this.ctx.moveTo(left, this.y(value));
+            this.ctx.lineTo(right, this.y(value));
+            this.ctx.stroke();
+            this.ctx.fillText(value.toLocaleString(), left - 6, this.y(value) + 4);
+        }
+        
+        this.ctx.fillStyle = '#a0a8c5';
+        this.ctx.textAlign = 'center';
+        this.ctx.fillText('n (log scale)', (left + right) / 2, bottom + 34);
+        
+        this.ctx.save();
+        this.ctx.translate(14, (top + bottom) / 2);
+        this.ctx.rotate(-Math.PI / 2);
+        this.ctx.fillText(`${metric} (log scale)`, 0, 0);
+        this.ctx.restore();
+    }
+    
+    /**
+     * Draw measured points as a solid line and the fitted curve as a dashed line
+     * @param {Object} entry - Series { color, points, curve }
+     */
+    drawSeries(entry) {
+        const points = entry.points.filter(point => point.value > 0);
+        if (points.length === 0) return;
+        
+        if (entry.curve && entry.curve.constant > 0) {
+            this.ctx.save();
+            this.ctx.strokeStyle = entry.color;
+            this.ctx.globalAlpha = 0.5;
+            this.ctx.setLineDash([6, 4]);
+            this.ctx.beginPath();
+            points.forEach((point, i) => {
+                const expected = entry.curve.constant * entry.curve.fn(point.n);
+                if (i === 0) {
+                    this.ctx.moveTo(this.x(point.n), this.y(expected));
+                } else {
+                    this.ctx.lineTo(this.x(point.n), this.y(expected));
+                }
+            });
+            this.ctx.stroke();
+            this.ctx.restore();
+        }
+        
+        this.ctx.strokeStyle = entry.color;
+        this.ctx.fillStyle = entry.color;
+        this.ctx.lineWidth = 2;
+        this.ctx.beginPath();
+        points.forEach((point, i) => {
+            if (i === 0) {
+                this.ctx.moveTo(this.x(point.n), this.y(point.value));
+            } else {
+                this.ctx.lineTo(this.x(point.n), this.y(point.value));
+            }
+        });
+        this.ctx.stroke();
+        
+        points.forEach(point => {
+            this.ctx.beginPath();
+            this.ctx.arc(this.x(point.n), this.y(point.value), 3, 0, Math.PI * 2);
+            this.ctx.fill();
+        });
+    }
+    
+    /**
+     * Draw the legend in the top-left corner of the plot
+     * @param {Array} series - All series
+     */
+    drawLegend(series) {
+        this.ctx.font = '11px sans-serif';
+        this.ctx.textAlign = 'left';
+        
+        series.forEach((entry, i) => {
+            const x = this.margin.left + 10;
+            const y = this.margin.top + 14 + i * 16;
+            this.ctx.fillStyle = entry.color;
+            this.ctx.fillRect(x, y - 8, 10, 10);
+            this.ctx.fillStyle = '#e4e9f7';
+            const fit = entry.curve ? ` ≈ ${entry.curve.constant.toFixed(2)} · ${entry.curve.label}` : '';
+            this.ctx.fillText(`${entry.label}${fit}`, x + 16, y);
+        });
+    }
+}
@@ -5,27 +5,55 @@
 
 import { COLORS, GRID_CONFIG } from '../utils/constants.js';
 
+/**
+ * Update node classes from one step's marks to the next, touching only the
+ * nodes whose classes changed so large grids stay cheap to redraw
+ * @param {Map} nodes - Node elements by key
+ * @param {Map} previous - Space-separated classes applied last time, by key
+ * @param {Map} next - Classes to apply now, by key
+ */
+export function applyMarks(nodes, previous, next) {
+    previous.forEach((classes, key) => {
+        if (next.get(key) !== classes) {
+            nodes.get(key).classList.remove(...classes.split(' '));
+        }
+    });
+    
+    next.forEach((classes, key) => {
+        if (previous.get(key) !== classes) {
+            nodes.get(key).classList.add(...classes.split(' '));
+        }
+    });
+}
+
 export class GraphVisualizer {
     constructor(gridContainer) {
         this.container = gridContainer;
         this.rows = GRID_CONFIG.ROWS;
         this.cols = GRID_CONFIG.COLS;
         this.nodes = new Map();
+        this.marked = new Map(); // Step classes currently applied, by node key
         this.startNode = null;
     }
     
     /**
      * Initialize grid
      * @param {Object} start - Start node {row, col}
+     * @param {number} rows - Grid rows
+     * @param {number} cols - Grid columns
      */
-    initialize(start) {
+    initialize(start, rows = GRID_CONFIG.ROWS, cols = GRID_CONFIG.COLS) {
         this.startNode = start;
+        this.rows = rows;
+        this.cols = cols;
         this.container.innerHTML = '';
         this.nodes.clear();
+        this.marked.clear();
         
         // Set grid template
         this.container.style.gridTemplateColumns = `repeat(${this.cols}, 1fr)`;
         this.container.style.gridTemplateRows = `repeat(${this.rows}, 1fr)`;
+        this.container.classList.toggle('dense', this.rows * this.cols > GRID_CONFIG.ROWS * GRID_CONFIG.COLS);
         this.container.classList.remove('hidden');
         
         // Create nodes
@@ -68,40 +96,30 @@ export class GraphVisualizer {
     render(step) {
         if (!step) return;
         
-        // Reset all nodes except start
-        this.nodes.forEach((node, key) => {
-            if (!node.classList.contains('start')) {
-                node.classList.remove('visited', 'frontier', 'current');
-            }
-        });
+        const startKey = this.startNode ? `${this.startNode.row},${this.startNode.col}` : null;
+        const marks = new Map();
+        const mark = (key, className) => {
+            if (key === startKey || !this.nodes.has(key)) return;
+            marks.set(key, marks.has(key) ? `${marks.get(key)} ${className}` : className);
+        };
         
         // Mark visited nodes
         if (step.visited) {
-            step.visited.forEach(key => {
-                const node = this.nodes.get(key);
-                if (node && !node.classList.contains('start')) {
-                    node.classList.add('visited');
-                }
-            });
+            step.visited.forEach(key => mark(key, 'visited'));
         }
         
         // Mark current node
         if (step.current) {
-            const currentKey = `${step.current.row},${step.current.col}`;
-            const currentNode = this.nodes.get(currentKey);
-            if (currentNode && !currentNode.classList.contains('start')) {
-                currentNode.classList.add('current');
-            }
+            mark(`${step.current.row},${step.current.col}`, 'current');
         }
         
         // Mark discovered neighbor
         if (step.neighbor) {
-            const neighborKey = `${step.neighbor.row},${step.neighbor.col}`;
-            const neighborNode = this.nodes.get(neighborKey);
-            if (neighborNode && !neighborNode.classList.contains('start')) {
-                neighborNode.classList.add('frontier');
-            }
+            mark(`${step.neighbor.row},${step.neighbor.col}`, 'frontier');
         }
+        
+        applyMarks(this.nodes, this.marked, marks);
+        this.marked = marks;
     }
     
     /**
@@ -110,5 +128,6 @@ export class GraphVisualizer {
     clear() {
         this.container.innerHTML = '';
         this.nodes.clear();
+        this.marked.clear();
     }
 }
@@ -0,0 +1,253 @@
+/**
+ * Network Visualizer
+ * Renders sorting networks as wire/comparator diagrams on canvas
+ */
+
+import { COLORS } from '../utils/constants.js';
+
+export class NetworkVisualizer {
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.inputs = [];
+        this.network = null;
+        this.layout = null; // Comparator x positions, rebuilt when the network or size changes
+    }
+    
+    /**
+     * Resize canvas
+     */
+    resize() {
+        const container = this.canvas.parentElement;
+        this.canvas.width = container.clientWidth - 40;
+        this.canvas.height = container.clientHeight - 40;
+        this.layout = null;
+    }
+    
+    /**
+     * Set the input values shown at the left end of the wires
+     * @param {number[]} array - Network input
+     */
+    setArray(array) {
+        this.inputs = [...array];
+        this.resize();
+    }
+    
+    /**
+     * Render current step
+     * @param {Object} step - Animation step carrying `network` and `layer`
+     */
+    render(step) {
+        this.clear();
+        if (!step || !step.network) return;
+        
+        if (step.network !== this.network || !this.layout) {
+            this.network = step.network;
+            this.layout = this.computeLayout(step.network);
+        }
+        
+        this.drawWires();
+        this.drawActiveLayer(step.layer);
+        this.drawComparators(step);
+        this.drawTokens(step);
+    }
+    
+    /**
+     * Clear canvas
+     */
+    clear() {
+        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+    }
+    
+    /**
+     * Place every comparator horizontally. Comparators in one layer whose wire
+     * spans overlap get separate sub-columns so their lines don't cover each other.
+     * @param {Object} network - { wires, layers }
+     * @returns {Object} { left, right, top, wireGap, unit, layers: [{ start, end, xs }] }
+     */
+    computeLayout(network) {
+        const left = 50;
+        const right = this.canvas.width - 50;
+        const top = 20;
+        const wireGap = (this.canvas.height - 40) / Math.max(1, network.wires - 1);
+        
+        // Greedy interval coloring within each layer
+        const slotted = network.layers.map(layer => {
+            const slotEnds = [];
+            const columns = layer.map(({ min, max }) => {
+                const low = Math.min(min, max);
+                const high = Math.max(min, max);
+                let slot = slotEnds.findIndex(end => end < low);
+                if (slot === -1) {
+                    slot = slotEnds.length;
+                    slotEnds.push(high);
+                } else {
+                    slotEnds[slot] = high;
+                }
+                return slot;
+            });
+            return { columns, slots: Math.max(1, slotEnds.length) };
+        });
+        
+        // One unit per sub-column plus a gap of 1.5 units around every layer
+        const totalUnits = slotted.reduce((sum, layer) => sum + layer.slots, 0) + 1.5 * (slotted.length + 1);
+        const unit = (right - left) / Math.max(1, totalUnits);
+        
+        let cursor = left + 1.5 * unit;
+        const layers = slotted.map(({ columns, slots }) => {
+            const start = cursor;
+            const xs = columns.map(slot => start + (slot + 0.5) * unit);
+            cursor += slots * unit + 1.5 * unit;
+            return { start, end: start + slots * unit, xs };
+        });
+        
+        return { left, right, top, wireGap, unit, layers };
+    }
+    
+    /**
+     * Vertical position of a wire
+     * @param {number} wire - Wire index
+     * @returns {number} Canvas y
+     */
+    wireY(wire) {
+        return this.layout.top + wire * this.layout.wireGap;
+    }
+    
+    /**
+     * Horizontal position of the value tokens after a given layer
+     * @param {number} layer - Last applied layer (-1 before the first)
+     * @returns {number} Canvas x
+     */
+    tokenX(layer) {
+        const { left, right, unit, layers } = this.layout;
+        if (layer < 0) return left + 0.75 * unit;
+        if (layer >= layers.length) return right;
+        return layers[layer].end + 0.75 * unit;
+    }
+    
+    /**
+     * Draw the horizontal wires
+     */
+    drawWires() {
+        const { left, right } = this.layout;
+        this.ctx.strokeStyle = '#2a3458';
+        this.ctx.lineWidth = 1;
+        
+        for (let wire = 0; wire < this.network.wires; wire++) {
+            this.ctx.beginPath();
+            this.ctx.moveTo(left, this.wireY(wire));
+            this.ctx.lineTo(right, this.wireY(wire));
+            this.ctx.stroke();
+        }
+    }
+    
+    /**
+     * Shade the column of the layer applied in this step
+     * @param {number} layer - Layer index
+     */
+    drawActiveLayer(layer) {
+        const column = this.layout.layers[layer];
+        if (!column) return;
+        
+        this.ctx.fillStyle = COLORS.COMPARING;
+        this.ctx.globalAlpha = 0.08;
+        this.ctx.fillRect(column.start - 4, 0, column.end - column.start + 8, this.canvas.height);
+        this.ctx.globalAlpha = 1;
+    }
+    
+    /**
+     * Draw every comparator: applied layers in green, the current layer by outcome,
+     * pending layers in the default color. The arrowhead marks the wire that receives the larger value.
+     * @param {Object} step - Current animation step
+     */
+    drawComparators(step) {
+        const swapped = new Set((step.exchanges || []).filter(e => e.swapped).map(e => `${e.min}-${e.max}`));
+        const dot = Math.max(2, Math.min(4, this.layout.wireGap / 3));
+        
+        this.network.layers.forEach((layer, index) => {
+            layer.forEach(({ min, max }, i) => {
+                const x = this.layout.layers[index].xs[i];
+                const yMin = this.wireY(min);
+                const yMax = this.wireY(max);
+                
+                let color = COLORS.DEFAULT;
+                if (index === step.layer) {
+                    color = swapped.has(`${min}-${max}`) ? COLORS.SWAPPING : COLORS.COMPARING;
+                } else if (index < step.layer) {
+                    color = COLORS.SORTED;
+                }
+                
+                this.ctx.globalAlpha = index < step.layer ? 0.5 : 1;
+                this.ctx.strokeStyle = color;
+                this.ctx.fillStyle = color;
+                this.ctx.lineWidth = index === step.layer ? 2 : 1.5;
+                
+                this.ctx.beginPath();
+                this.ctx.moveTo(x, yMin);
+                this.ctx.lineTo(x, yMax);
+                this.ctx.stroke();
+                
+                this.ctx.beginPath();
+                this.ctx.arc(x, yMin, dot, 0, Math.PI * 2);
+                this.ctx.fill();
+                
+                // Arrowhead pointing into the max wire
+                const direction = yMax > yMin ? 1 : -1;
+                this.ctx.beginPath();
+                this.ctx.moveTo(x, yMax);
+                this.ctx.lineTo(x - dot * 1.2, yMax - direction * dot * 2);
+                this.ctx.lineTo(x + dot * 1.2, yMax - direction * dot * 2);
+                this.ctx.closePath();
+                this.ctx.fill();
+                this.ctx.globalAlpha = 1;
+            });
+        });
+    }
+    
+    /**
+     * Draw the input values, the values currently flowing through the network,
+     * and the outputs once the last layer has run
+     * @param {Object} step - Current animation step
+     */
+    drawTokens(step) {
+        const n = this.network.wires;
+        const x = this.tokenX(step.layer);
+        const height = Math.max(4, Math.min(18, this.layout.wireGap - 2));
+        const width = height >= 12 ? 30 : height;
+        const touched = new Set(step.indices || []);
+        const swapped = new Set((step.exchanges || []).filter(e => e.swapped).flatMap(e => [e.min, e.max]));
+        
+        this.ctx.font = `${Math.min(11, height - 4)}px monospace`;
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'middle';
+        
+        for (let wire = 0; wire < n; wire++) {
+            const y = this.wireY(wire);
+            
+            // Inputs on the left
+            if (height >= 12 && this.inputs[wire] !== undefined) {
+                this.ctx.fillStyle = '#6b7599';
+                this.ctx.fillText(this.inputs[wire], this.layout.left - 22, y);
+            }
+            
+            let color = COLORS.CURRENT;
+            if (step.type === 'complete') {
+                color = COLORS.SORTED;
+            } else if (swapped.has(wire)) {
+                color = COLORS.SWAPPING;
+            } else if (touched.has(wire)) {
+                color = COLORS.COMPARING;
+            }
+            
+            this.ctx.fillStyle = color;
+            this.ctx.fillRect(x - width / 2, y - height / 2, width, height);
+            
+            if (height >= 12) {
+                this.ctx.fillStyle = '#e4e9f7';
+                this.ctx.fillText(step.array[wire], x, y + 1);
+            }
+        }
+        
+        this.ctx.textBaseline = 'alphabetic';
+    }
+}
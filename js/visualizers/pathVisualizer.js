@@ -4,6 +4,7 @@
  */
 
 import { COLORS, GRID_CONFIG } from '../utils/constants.js';
+import { applyMarks } from './graphVisualizer.js';
 
 export class PathVisualizer {
     constructor(gridContainer) {
@@ -11,27 +12,36 @@ export class PathVisualizer {
         this.rows = GRID_CONFIG.ROWS;
         this.cols = GRID_CONFIG.COLS;
         this.nodes = new Map();
+        this.marked = new Map(); // Step classes currently applied, by node key
         this.walls = new Set();
         this.startNode = null;
         this.endNode = null;
         this.isDrawing = false;
+        this.wallsChanged = false; // Walls toggled by the stroke being drawn
+        this.onWallsChange = null; // Callback after a click or a drawn stroke changes the walls
     }
     
     /**
      * Initialize grid with start and end
      * @param {Object} start - Start node {row, col}
      * @param {Object} end - End node {row, col}
+     * @param {number} rows - Grid rows
+     * @param {number} cols - Grid columns
      */
-    initialize(start, end) {
+    initialize(start, end, rows = GRID_CONFIG.ROWS, cols = GRID_CONFIG.COLS) {
         this.startNode = start;
         this.endNode = end;
+        this.rows = rows;
+        this.cols = cols;
         this.walls.clear();
         this.container.innerHTML = '';
         this.nodes.clear();
+        this.marked.clear();
         
         // Set grid template
         this.container.style.gridTemplateColumns = `repeat(${this.cols}, 1fr)`;
         this.container.style.gridTemplateRows = `repeat(${this.rows}, 1fr)`;
+        this.container.classList.toggle('dense', this.rows * this.cols > GRID_CONFIG.ROWS * GRID_CONFIG.COLS);
         this.container.classList.remove('hidden');
         
         // Create nodes
@@ -113,7 +123,11 @@ export class PathVisualizer {
         });
         
         this.container.addEventListener('mouseup', () => {
-            this.isDrawing = false;
+            this.finishStroke();
+        });
+        
+        this.container.addEventListener('mouseleave', () => {
+            this.finishStroke();
         });
         
         this.nodes.forEach((node, key) => {
@@ -144,6 +158,24 @@ export class PathVisualizer {
             this.walls.add(key);
             node.classList.add('wall');
         }
+        
+        // A stroke reports its changes once it ends, not once per cell it crosses
+        if (this.isDrawing) {
+            this.wallsChanged = true;
+        } else if (this.onWallsChange) {
+            this.onWallsChange();
+        }
+    }
+    
+    /**
+     * End a wall stroke and report the walls it changed
+     */
+    finishStroke() {
+        this.isDrawing = false;
+        if (!this.wallsChanged) return;
+        
+        this.wallsChanged = false;
+        if (this.onWallsChange) this.onWallsChange();
     }
     
     /**
@@ -153,53 +185,36 @@ export class PathVisualizer {
     render(step) {
         if (!step) return;
         
-        // Reset all nodes except start, end, walls
-        this.nodes.forEach((node, key) => {
-            if (!node.classList.contains('start') && 
-                !node.classList.contains('end') && 
-                !node.classList.contains('wall')) {
-                node.classList.remove('visited', 'frontier', 'current', 'path');
-            }
-        });
+        const marks = new Map();
+        const mark = (key, className, onEndpoints = false) => {
+            const node = this.nodes.get(key);
+            if (!node) return;
+            if (!onEndpoints && (node.classList.contains('start') || node.classList.contains('end'))) return;
+            marks.set(key, marks.has(key) ? `${marks.get(key)} ${className}` : className);
+        };
         
         // Mark visited nodes
         if (step.visited) {
-            step.visited.forEach(key => {
-                const node = this.nodes.get(key);
-                if (node && !node.classList.contains('start') && !node.classList.contains('end')) {
-                    node.classList.add('visited');
-                }
-            });
+            step.visited.forEach(key => mark(key, 'visited'));
         }
         
         // Mark current node
         if (step.current) {
-            const currentKey = `${step.current.row},${step.current.col}`;
-            const currentNode = this.nodes.get(currentKey);
-            if (currentNode) {
-                currentNode.classList.add('current');
-            }
+            mark(`${step.current.row},${step.current.col}`, 'current', true);
         }
         
         // Mark neighbor being explored
         if (step.neighbor) {
-            const neighborKey = `${step.neighbor.row},${step.neighbor.col}`;
-            const neighborNode = this.nodes.get(neighborKey);
-            if (neighborNode) {
-                neighborNode.classList.add('frontier');
-            }
+            mark(`${step.neighbor.row},${step.neighbor.col}`, 'frontier', true);
         }
         
         // Mark final path
         if (step.path) {
-            step.path.forEach(node => {
-                const key = `${node.row},${node.col}`;
-                const pathNode = this.nodes.get(key);
-                if (pathNode && !pathNode.classList.contains('start') && !pathNode.classList.contains('end')) {
-                    pathNode.classList.add('path');
-                }
-            });
+            step.path.forEach(node => mark(`${node.row},${node.col}`, 'path'));
         }
+        
+        applyMarks(this.nodes, this.marked, marks);
+        this.marked = marks;
     }
     
     /**
@@ -216,6 +231,7 @@ export class PathVisualizer {
     clear() {
         this.container.innerHTML = '';
         this.nodes.clear();
+        this.marked.clear();
         this.walls.clear();
     }
 }
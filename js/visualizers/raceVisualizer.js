@@ -0,0 +1,111 @@
+/**
+ * Race Visualizer
+ * Renders several sorting algorithms side by side, one SortVisualizer per panel
+ */
+
+import { SortVisualizer } from './sortVisualizer.js';
+
+export class RaceVisualizer {
+    constructor(container) {
+        this.container = container;
+        this.panels = [];
+        this.stepDelay = 0; // Milliseconds per step at the current speed
+        this.viewMode = 'bars';
+    }
+    
+    /**
+     * Build one panel per racing algorithm
+     * @param {Array} racers - Array of { name, steps } where steps is a StepLog
+     */
+    initialize(racers) {
+        this.container.innerHTML = '';
+        this.container.style.gridTemplateColumns = `repeat(${Math.min(racers.length, 2)}, 1fr)`;
+        
+        this.panels = racers.map(racer => {
+            const panel = document.createElement('div');
+            panel.className = 'race-panel';
+            
+            const header = document.createElement('div');
+            header.className = 'race-header';
+            const title = document.createElement('span');
+            title.className = 'race-title';
+            title.textContent = racer.name;
+            const status = document.createElement('span');
+            status.className = 'race-status';
+            header.appendChild(title);
+            header.appendChild(status);
+            
+            const canvasWrap = document.createElement('div');
+            canvasWrap.className = 'race-canvas';
+            const canvas = document.createElement('canvas');
+            canvasWrap.appendChild(canvas);
+            
+            panel.appendChild(header);
+            panel.appendChild(canvasWrap);
+            this.container.appendChild(panel);
+            
+            const visualizer = new SortVisualizer(canvas);
+            visualizer.viewMode = this.viewMode;
+            visualizer.setArray(racer.steps.length > 0 ? racer.steps.get(0).array : []);
+            
+            return { panel, status, visualizer, steps: racer.steps };
+        });
+    }
+    
+    /**
+     * Resize all panel canvases
+     */
+    resize() {
+        this.panels.forEach(panel => panel.visualizer.resize());
+    }
+    
+    /**
+     * Switch every panel to the given view mode
+     * @param {string} mode - 'bars', 'dots', 'spectrum' or 'circle'
+     */
+    setViewMode(mode) {
+        this.viewMode = mode;
+        this.panels.forEach(panel => panel.visualizer.setViewMode(mode));
+    }
+    
+    /**
+     * Set the delay between steps, used to estimate finish times
+     * @param {number} ms - Milliseconds per step
+     */
+    setStepDelay(ms) {
+        this.stepDelay = ms;
+    }
+    
+    /**
+     * Render every panel at the shared race step
+     * @param {Object} step - Race step { frame }
+     */
+    render(step) {
+        if (!step) return;
+        
+        this.panels.forEach(({ status, visualizer, steps }) => {
+            // Racers are produced lazily; one without a next step has finished
+            const finished = !steps.has(step.frame + 1);
+            const index = finished ? steps.length - 1 : step.frame;
+            const current = steps.get(index);
+            
+            // A racer whose worker failed before its first step has nothing to show
+            if (!current) {
+                status.textContent = 'No steps';
+                return;
+            }
+            
+            visualizer.render(current);
+            
+            const comparisons = current.stats ? current.stats.comparisons : 0;
+            if (finished) {
+                const seconds = ((index * this.stepDelay) / 1000).toFixed(1);
+                status.textContent = `Finished in ${index} steps (${seconds}s) · ${comparisons} comparisons`;
+                status.classList.add('finished');
+            } else {
+                status.textContent = `Step ${index} · ${comparisons} comparisons`;
+                status.classList.remove('finished');
+            }
+        });
+    }
+}
@@ -4,6 +4,24 @@
  */
 
 import { COLORS } from '../utils/constants.js';
+import { Tween, lerp } from '../utils/tween.js';
+import { TreeVisualizer } from './treeVisualizer.js';
+
+// Step types whose changed bars slide (or grow) into place
+const TWEENED_STEPS = ['swap', 'shift', 'place'];
+
+/**
+ * Check whether two array entries hold the same element. Records arriving from
+ * the step worker are fresh copies, so they are matched by tag and value.
+ * @param {*} a - Entry
+ * @param {*} b - Entry
+ * @returns {boolean}
+ */
+function sameEntry(a, b) {
+    if (a === b) return true;
+    return typeof a === 'object' && typeof b === 'object' && a !== null && b !== null &&
+        a.tag === b.tag && Number(a) === Number(b);
+}
 
 export class SortVisualizer {
     constructor(canvas) {
@@ -11,6 +29,12 @@ export class SortVisualizer {
         this.ctx = canvas.getContext('2d');
         this.array = [];
         this.currentStep = null;
+        this.viewMode = 'bars'; // 'bars', 'dots', 'spectrum' or 'circle'
+        this.plotWidth = canvas.width; // Width left for the array once side panels are placed
+        this.treeRenderer = new TreeVisualizer(canvas); // Reused for heap node drawing
+        this.tween = new Tween();
+        this.motion = null; // Bars in transition: { moves: Map(index -> { from, value }), progress }
+        this.previousArray = null; // Array of the step drawn last, where transitions start
     }
     
     /**
@@ -27,18 +51,110 @@ export class SortVisualizer {
      * @param {number[]} array - Array to visualize
      */
     setArray(array) {
+        this.cancelTransition();
         this.array = array;
+        this.previousArray = null;
         this.resize();
     }
     
     /**
-     * Render current step
+     * Choose how the main array is drawn
+     * @param {string} mode - 'bars', 'dots', 'spectrum' or 'circle'
+     */
+    setViewMode(mode) {
+        this.viewMode = mode;
+        if (this.currentStep) {
+            this.render(this.currentStep);
+        }
+    }
+    
+    /**
+     * Render current step, sliding the bars a swap, shift or place moved
+     * @param {Object} step - Animation step
+     * @param {number} duration - Transition length in milliseconds, 0 to draw the step at once
+     */
+    render(step, duration = 0) {
+        const moves = duration > 0 ? this.findMoves(step) : null;
+        this.previousArray = step ? step.array : null;
+        
+        if (!moves) {
+            this.cancelTransition();
+            this.draw(step);
+            return;
+        }
+        
+        this.tween.start(duration, progress => {
+            this.motion = progress < 1 ? { moves, progress } : null;
+            this.draw(step);
+        });
+    }
+    
+    /**
+     * Stop a running transition, leaving the canvas to whoever draws next
+     */
+    cancelTransition() {
+        this.tween.cancel();
+        this.motion = null;
+    }
+    
+    /**
+     * Work out where the bars a step changed came from. A bar whose element was
+     * at another touched index slides over from there; one that received a new
+     * element (from a buffer or a key) grows or shrinks from its old height.
+     * @param {Object} step - Animation step
+     * @returns {Map|null} Index -> { from: index or null, value: previous entry }, or null when nothing moves
+     */
+    findMoves(step) {
+        const previous = this.previousArray;
+        if (!step || this.viewMode !== 'bars' || !TWEENED_STEPS.includes(step.type)) return null;
+        if (!step.array || !step.indices || !previous || previous.length !== step.array.length) return null;
+        
+        const moves = new Map();
+        step.indices.forEach(i => {
+            if (sameEntry(step.array[i], previous[i])) return;
+            const from = step.indices.find(j => j !== i && sameEntry(previous[j], step.array[i]));
+            moves.set(i, { from: from === undefined ? null : from, value: previous[i] });
+        });
+        
+        return moves.size > 0 ? moves : null;
+    }
+    
+    /**
+     * Draw a step, with bars part-way through the running transition if there is one
      * @param {Object} step - Animation step
      */
-    render(step) {
+    draw(step) {
         this.currentStep = step;
         this.clear();
-        this.drawBars(step);
+        if (!step) return;
+        
+        // Stack optional overlays above and below the bars
+        const height = this.canvas.height;
+        let top = 0;
+        
+        if (step.heapSize !== undefined) {
+            const treeHeight = Math.floor(height * 0.45);
+            this.drawHeapTree(step, top, treeHeight);
+            top += treeHeight;
+        }
+        
+        if (step.splitTree) {
+            const levelsHeight = Math.floor(height * 0.2);
+            this.drawSplitLevels(step, top, levelsHeight);
+            top += levelsHeight;
+        }
+        
+        const auxHeight = step.auxiliary ? Math.floor(height * (step.splitTree ? 0.35 : 0.45)) : 0;
+        this.plotWidth = step.runStack ? Math.floor(this.canvas.width * 0.75) : this.canvas.width;
+        this.drawArray(step, top, height - top - auxHeight);
+        
+        if (step.runStack) {
+            this.drawRunStack(step, top, height - top - auxHeight);
+        }
+        
+        if (step.auxiliary) {
+            this.drawAuxiliary(step.auxiliary, height - auxHeight, auxHeight);
+        }
     }
     
     /**
@@ -48,54 +164,152 @@ export class SortVisualizer {
         this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
     }
     
+    /**
+     * Horizontal layout shared by the index-aligned views. The 2px gaps between
+     * bars are dropped once there is too little room per element to show them.
+     * @param {number} n - Array length
+     * @returns {Object} { barWidth, gap }
+     */
+    barLayout(n) {
+        const gap = this.plotWidth / n >= 6 ? 2 : 0;
+        return { barWidth: (this.plotWidth - (n + 1) * gap) / n, gap };
+    }
+    
+    /**
+     * Determine the state color of an array index
+     * @param {Object} step - Current animation step
+     * @param {number} i - Array index
+     * @returns {string} Hex color
+     */
+    getBarColor(step, i) {
+        if (step.sorted && step.sorted.has(i)) {
+            return COLORS.SORTED;
+        }
+        if (step.pivot === i) {
+            return COLORS.PIVOT;
+        }
+        if (step.indices && step.indices.includes(i)) {
+            if (step.type === 'swap' || step.type === 'extract') {
+                return COLORS.SWAPPING;
+            }
+            if (step.type === 'compare') {
+                return COLORS.COMPARING;
+            }
+            return COLORS.CURRENT;
+        }
+        return COLORS.DEFAULT;
+    }
+    
+    /**
+     * Draw the main array in the selected view mode
+     * @param {Object} step - Current animation step
+     * @param {number} top - Top of the drawing area
+     * @param {number} height - Height of the drawing area
+     */
+    drawArray(step, top, height) {
+        if (!step.array) return;
+        
+        switch (this.viewMode) {
+            case 'dots':
+                this.drawDots(step, top, height);
+                break;
+            case 'spectrum':
+                this.drawSpectrum(step, top, height);
+                break;
+            case 'circle':
+                this.drawDisparityCircle(step, top, height);
+                break;
+            default:
+                this.drawBars(step, top, height);
+        }
+        
+        if (step.gap !== undefined && this.viewMode !== 'circle') {
+            this.drawGapBracket(step, top, height);
+        }
+        
+        if (step.stable !== undefined) {
+            this.drawStabilityVerdict(step, top);
+        }
+    }
+    
+    /**
+     * Alpha for an index, fading everything outside the active recursion range
+     * @param {Object} step - Current animation step
+     * @param {number} i - Array index
+     * @returns {number} Alpha between 0 and 1
+     */
+    getRangeAlpha(step, i) {
+        const inRange = !step.range || (i >= step.range[0] && i <= step.range[1]);
+        return inRange ? 1 : 0.35;
+    }
+    
     /**
      * Draw bar chart
      * @param {Object} step - Current animation step
+     * @param {number} top - Top of the drawing area
+     * @param {number} height - Height of the drawing area
      */
-    drawBars(step) {
+    drawBars(step, top = 0, height = this.canvas.height) {
         if (!step || !step.array) return;
         
         const array = step.array;
         const n = array.length;
-        const maxValue = Math.max(...array);
-        const barWidth = (this.canvas.width - (n + 1) * 2) / n;
-        const heightScale = (this.canvas.height - 60) / maxValue;
+        const bottom = top + height;
+        const maxValue = Math.max(...array) || 1;
+        const { barWidth, gap } = this.barLayout(n);
+        const heightScale = (height - 60) / maxValue;
+        
+        const motion = this.motion;
         
         for (let i = 0; i < n; i++) {
-            const barHeight = array[i] * heightScale;
-            const x = i * (barWidth + 2) + 2;
-            const y = this.canvas.height - barHeight - 30;
-            
-            // Determine bar color based on state
-            let color = COLORS.DEFAULT;
+            let barHeight = array[i] * heightScale;
+            let x = i * (barWidth + gap) + gap;
             
-            if (step.sorted && step.sorted.includes(i)) {
-                color = COLORS.SORTED;
-            } else if (step.indices && step.indices.includes(i)) {
-                if (step.type === 'swap') {
-                    color = COLORS.SWAPPING;
-                } else if (step.type === 'compare') {
-                    color = COLORS.COMPARING;
-                } else {
-                    color = COLORS.CURRENT;
-                }
+            // Mid-transition: slide in from the old index, or grow from the old height
+            const move = motion && motion.moves.get(i);
+            if (move && move.from !== null) {
+                x = lerp(move.from * (barWidth + gap) + gap, x, motion.progress);
+            } else if (move) {
+                barHeight = lerp(move.value * heightScale, barHeight, motion.progress);
             }
+            const y = bottom - barHeight - 30;
             
-            // Draw bar with gradient
-            const gradient = this.ctx.createLinearGradient(x, y, x, y + barHeight);
-            gradient.addColorStop(0, this.lightenColor(color, 20));
-            gradient.addColorStop(1, color);
+            // Determine bar color based on state
+            const color = this.getBarColor(step, i);
             
-            this.ctx.fillStyle = gradient;
-            this.ctx.fillRect(x, y, barWidth, barHeight);
+            // Fade bars outside the active recursion range
+            this.ctx.globalAlpha = this.getRangeAlpha(step, i);
             
-            // Draw border
-            this.ctx.strokeStyle = this.darkenColor(color, 10);
-            this.ctx.lineWidth = 1;
-            this.ctx.strokeRect(x, y, barWidth, barHeight);
+            if (gap === 0) {
+                // Hairline bars: a flat fill is all that is visible
+                this.ctx.fillStyle = color;
+                this.ctx.fillRect(x, y, barWidth, barHeight);
+            } else {
+                // Draw bar with gradient
+                const gradient = this.ctx.createLinearGradient(x, y, x, y + barHeight);
+                gradient.addColorStop(0, this.lightenColor(color, 20));
+                gradient.addColorStop(1, color);
+                
+                this.ctx.fillStyle = gradient;
+                this.ctx.fillRect(x, y, barWidth, barHeight);
+                
+                // Draw border
+                this.ctx.strokeStyle = this.darkenColor(color, 10);
+                this.ctx.lineWidth = 1;
+                this.ctx.strokeRect(x, y, barWidth, barHeight);
+            }
+            this.ctx.globalAlpha = 1;
             
-            // Draw value on top of bar
-            if (n <= 30) {
+            // Draw original-position tag for stability tracking
+            if (array[i].tag !== undefined) {
+                const unstable = step.unstable && step.unstable.includes(i);
+                this.drawTag(array[i].tag, n, x, y, barWidth, barHeight, unstable);
+            }
+            
+            // Records are labeled along the bar; plain values are printed on top
+            if (array[i].label !== undefined) {
+                this.drawLabel(array[i].label, x, y, barWidth, barHeight);
+            } else if (n <= 30) {
                 this.ctx.fillStyle = '#e4e9f7';
                 this.ctx.font = '12px monospace';
                 this.ctx.textAlign = 'center';
@@ -107,9 +321,589 @@ export class SortVisualizer {
                 this.ctx.fillStyle = '#6b7599';
                 this.ctx.font = '10px monospace';
                 this.ctx.textAlign = 'center';
-                this.ctx.fillText(i, x + barWidth / 2, this.canvas.height - 10);
+                this.ctx.fillText(i, x + barWidth / 2, bottom - 10);
             }
         }
+        
+        if (step.boundaries) {
+            this.drawBoundaries(step.boundaries, barWidth, gap, top, bottom);
+        }
+    }
+    
+    /**
+     * Draw a scatter plot of index against value
+     * @param {Object} step - Current animation step
+     * @param {number} top - Top of the drawing area
+     * @param {number} height - Height of the drawing area
+     */
+    drawDots(step, top, height) {
+        const array = step.array;
+        const n = array.length;
+        if (n === 0) return;
+        
+        const bottom = top + height;
+        const maxValue = Math.max(...array) || 1;
+        const { barWidth, gap } = this.barLayout(n);
+        const heightScale = (height - 50) / maxValue;
+        const radius = Math.max(2, Math.min(6, barWidth / 2));
+        
+        for (let i = 0; i < n; i++) {
+            const x = i * (barWidth + gap) + gap + barWidth / 2;
+            const y = bottom - 25 - array[i] * heightScale;
+            const color = this.getBarColor(step, i);
+            
+            this.ctx.globalAlpha = this.getRangeAlpha(step, i);
+            this.ctx.fillStyle = array[i].tag !== undefined ? this.getTagColor(array[i].tag, n) : color;
+            this.ctx.beginPath();
+            this.ctx.arc(x, y, color === COLORS.DEFAULT ? radius : radius + 2, 0, Math.PI * 2);
+            this.ctx.fill();
+            
+            // Ring highlighted elements so state stays visible over tag colors
+            if (color !== COLORS.DEFAULT) {
+                this.ctx.strokeStyle = color;
+                this.ctx.lineWidth = 2;
+                this.ctx.stroke();
+            }
+            this.ctx.globalAlpha = 1;
+        }
+        
+        if (step.boundaries) {
+            this.drawBoundaries(step.boundaries, barWidth, gap, top, bottom);
+        }
+    }
+    
+    /**
+     * Draw values as a strip of hues, with a state band underneath
+     * @param {Object} step - Current animation step
+     * @param {number} top - Top of the drawing area
+     * @param {number} height - Height of the drawing area
+     */
+    drawSpectrum(step, top, height) {
+        const array = step.array;
+        const n = array.length;
+        if (n === 0) return;
+        
+        const bottom = top + height;
+        const maxValue = Math.max(...array) || 1;
+        const { barWidth, gap } = this.barLayout(n);
+        const stripTop = top + 30;
+        const stripHeight = Math.max(10, height - 80);
+        const bandTop = stripTop + stripHeight + 6;
+        
+        for (let i = 0; i < n; i++) {
+            const x = i * (barWidth + gap) + gap;
+            const color = this.getBarColor(step, i);
+            
+            // Hue runs red to violet as values grow, so a sorted array reads as a rainbow
+            this.ctx.globalAlpha = this.getRangeAlpha(step, i);
+            this.ctx.fillStyle = `hsl(${Math.round((array[i] / maxValue) * 300)}, 80%, 55%)`;
+            this.ctx.fillRect(x - 1, stripTop, barWidth + 2, stripHeight);
+            
+            if (color !== COLORS.DEFAULT) {
+                this.ctx.fillStyle = color;
+                this.ctx.fillRect(x, bandTop, barWidth, 12);
+            }
+            this.ctx.globalAlpha = 1;
+            
+            if (n <= 30) {
+                this.ctx.fillStyle = '#e4e9f7';
+                this.ctx.font = '12px monospace';
+                this.ctx.textAlign = 'center';
+                this.ctx.fillText(array[i], x + barWidth / 2, stripTop + stripHeight / 2 + 4);
+            }
+        }
+        
+        if (step.boundaries) {
+            this.drawBoundaries(step.boundaries, barWidth, gap, top, bottom);
+        }
+    }
+    
+    /**
+     * Bracket the h-sorted subsequence holding the active element, and label the gap
+     * @param {Object} step - Step carrying `gap`
+     * @param {number} top - Top of the drawing area
+     * @param {number} height - Height of the drawing area
+     */
+    drawGapBracket(step, top, height) {
+        const n = step.array.length;
+        const { barWidth, gap } = this.barLayout(n);
+        const y = top + height - 24;
+        
+        this.ctx.fillStyle = '#e4e9f7';
+        this.ctx.font = '12px monospace';
+        this.ctx.textAlign = 'right';
+        this.ctx.fillText(`gap = ${step.gap}`, this.plotWidth - 8, top + 18);
+        
+        if (step.gap <= 1 || !step.indices || step.indices.length === 0) return;
+        
+        // Every element congruent to the active index modulo the gap
+        const members = [];
+        for (let i = step.indices[0] % step.gap; i < n; i += step.gap) {
+            members.push(i * (barWidth + gap) + gap + barWidth / 2);
+        }
+        if (members.length < 2) return;
+        
+        this.ctx.strokeStyle = COLORS.PIVOT;
+        this.ctx.lineWidth = 2;
+        this.ctx.beginPath();
+        this.ctx.moveTo(members[0], y);
+        this.ctx.lineTo(members[members.length - 1], y);
+        members.forEach(x => {
+            this.ctx.moveTo(x, y);
+            this.ctx.lineTo(x, y - 6);
+        });
+        this.ctx.stroke();
+    }
+    
+    /**
+     * Draw a disparity circle: each element sits at its index angle, and its distance
+     * from the centre grows as it gets closer to its final sorted position
+     * @param {Object} step - Current animation step
+     * @param {number} top - Top of the drawing area
+     * @param {number} height - Height of the drawing area
+     */
+    drawDisparityCircle(step, top, height) {
+        const array = step.array;
+        const n = array.length;
+        if (n === 0) return;
+        
+        const centerX = this.plotWidth / 2;
+        const centerY = top + height / 2;
+        const outerRadius = Math.max(10, Math.min(this.plotWidth, height) / 2 - 20);
+        
+        // Final position of each element; ties keep their current order
+        const target = new Array(n);
+        array.map((value, i) => ({ value, i }))
+            .sort((a, b) => a.value - b.value || a.i - b.i)
+            .forEach((entry, rank) => { target[entry.i] = rank; });
+        
+        this.ctx.strokeStyle = '#2a3458';
+        this.ctx.lineWidth = 1;
+        this.ctx.beginPath();
+        this.ctx.arc(centerX, centerY, outerRadius, 0, Math.PI * 2);
+        this.ctx.stroke();
+        
+        const radius = Math.max(2, Math.min(6, (Math.PI * outerRadius) / n));
+        
+        for (let i = 0; i < n; i++) {
+            const angle = (i / n) * Math.PI * 2 - Math.PI / 2;
+            const disparity = Math.abs(i - target[i]) / Math.max(1, n - 1);
+            const distance = outerRadius * (1 - disparity);
+            const x = centerX + Math.cos(angle) * distance;
+            const y = centerY + Math.sin(angle) * distance;
+            const color = this.getBarColor(step, i);
+            
+            this.ctx.globalAlpha = this.getRangeAlpha(step, i);
+            this.ctx.fillStyle = array[i].tag !== undefined && color === COLORS.DEFAULT ? this.getTagColor(array[i].tag, n) : color;
+            this.ctx.beginPath();
+            this.ctx.arc(x, y, color === COLORS.DEFAULT ? radius : radius + 2, 0, Math.PI * 2);
+            this.ctx.fill();
+            this.ctx.globalAlpha = 1;
+        }
+    }
+    
+    /**
+     * Color for a record's original-position tag
+     * @param {number} tag - Original index of the record
+     * @param {number} n - Array length
+     * @returns {string} CSS color
+     */
+    getTagColor(tag, n) {
+        // Hue follows original position, so equal keys read left-to-right as a gradient when stable
+        return `hsl(${Math.round((tag * 300) / Math.max(1, n - 1))}, 75%, 60%)`;
+    }
+    
+    /**
+     * Draw a record's label rotated along its bar, starting at the bottom.
+     * Labels that don't fit inside a short bar continue above it.
+     * @param {string} label - Record label
+     * @param {number} x - Bar x position
+     * @param {number} y - Bar top
+     * @param {number} barWidth - Bar width
+     * @param {number} barHeight - Bar height
+     */
+    drawLabel(label, x, y, barWidth, barHeight) {
+        const size = Math.min(12, barWidth - 2);
+        if (size < 7) return;
+        
+        // Leave room for the tag label near the top of the bar
+        const room = barHeight - 28;
+        
+        this.ctx.save();
+        this.ctx.fillStyle = '#e4e9f7';
+        this.ctx.font = `${size}px sans-serif`;
+        this.ctx.textAlign = 'left';
+        this.ctx.textBaseline = 'middle';
+        if (room >= 30) {
+            this.ctx.translate(x + barWidth / 2, y + barHeight - 4);
+            this.ctx.rotate(-Math.PI / 2);
+            this.ctx.fillText(label, 0, 0, room);
+        } else {
+            this.ctx.translate(x + barWidth / 2, y - 4);
+            this.ctx.rotate(-Math.PI / 2);
+            this.ctx.fillText(label, 0, 0);
+        }
+        this.ctx.restore();
+    }
+    
+    /**
+     * Draw a record's original-position tag as a colored cap and label
+     * @param {number} tag - Original index of the record
+     * @param {number} n - Array length
+     * @param {number} x - Bar x position
+     * @param {number} y - Bar top
+     * @param {number} barWidth - Bar width
+     * @param {number} barHeight - Bar height
+     * @param {boolean} unstable - Whether the record ended up out of order
+     */
+    drawTag(tag, n, x, y, barWidth, barHeight, unstable) {
+        this.ctx.fillStyle = this.getTagColor(tag, n);
+        this.ctx.fillRect(x, y, barWidth, Math.min(6, barHeight));
+        
+        if (n <= 30 && barHeight > 24) {
+            this.ctx.fillStyle = '#e4e9f7';
+            this.ctx.font = '10px monospace';
+            this.ctx.textAlign = 'center';
+            this.ctx.fillText(`#${tag}`, x + barWidth / 2, y + 18);
+        }
+        
+        if (unstable) {
+            this.ctx.strokeStyle = COLORS.SWAPPING;
+            this.ctx.lineWidth = 2;
+            this.ctx.strokeRect(x - 1, y - 1, barWidth + 2, barHeight + 2);
+        }
+    }
+    
+    /**
+     * Draw whether equal keys kept their original relative order
+     * @param {Object} step - Complete step carrying stability fields
+     * @param {number} top - Top of the bar area
+     */
+    drawStabilityVerdict(step, top) {
+        this.ctx.font = '13px sans-serif';
+        this.ctx.textAlign = 'left';
+        
+        if (step.stable) {
+            this.ctx.fillStyle = COLORS.SORTED;
+            this.ctx.fillText('✓ Stable: equal keys kept their original order', 8, top + 18);
+        } else {
+            this.ctx.fillStyle = COLORS.SWAPPING;
+            this.ctx.fillText(`✗ Unstable: ${step.unstable.length} elements with equal keys changed relative order`, 8, top + 18);
+        }
+    }
+    
+    /**
+     * Draw the implicit binary heap held in array[0...heapSize-1] as a tree
+     * @param {Object} step - Current animation step
+     * @param {number} top - Top of the drawing area
+     * @param {number} height - Height of the drawing area
+     */
+    drawHeapTree(step, top, height) {
+        const heapSize = step.heapSize;
+        if (!step.array || heapSize === 0) return;
+        
+        const levels = Math.floor(Math.log2(heapSize)) + 1;
+        const levelGap = (height - 40) / Math.max(1, levels - 1);
+        const nodesOnLastLevel = Math.pow(2, levels - 1);
+        const radius = Math.max(8, Math.min(22, this.canvas.width / nodesOnLastLevel / 2 - 2, levelGap / 3));
+        
+        const position = (i) => {
+            const level = Math.floor(Math.log2(i + 1));
+            const offset = i - (Math.pow(2, level) - 1);
+            return {
+                x: (offset + 0.5) * this.canvas.width / Math.pow(2, level),
+                y: top + 20 + level * (levels > 1 ? levelGap : 0)
+            };
+        };
+        
+        this.ctx.save();
+        
+        // Draw edges first
+        for (let i = 1; i < heapSize; i++) {
+            const child = position(i);
+            const parentIndex = Math.floor((i - 1) / 2);
+            const parent = position(parentIndex);
+            const isActive = step.indices && step.indices.includes(i) && step.indices.includes(parentIndex);
+            this.treeRenderer.drawEdge(parent.x, parent.y, child.x, child.y, isActive);
+        }
+        
+        // Draw nodes
+        for (let i = 0; i < heapSize; i++) {
+            const { x, y } = position(i);
+            this.treeRenderer.drawNode(x, y, step.array[i], this.getBarColor(step, i), radius);
+        }
+        
+        this.ctx.restore();
+    }
+    
+    /**
+     * Draw merge sort's recursion as one row of segments per depth, aligned with the bars
+     * @param {Object} step - Current animation step
+     * @param {number} top - Top of the drawing area
+     * @param {number} height - Height of the drawing area
+     */
+    drawSplitLevels(step, top, height) {
+        const n = step.array.length;
+        if (n === 0) return;
+        
+        const { barWidth, gap } = this.barLayout(n);
+        const segments = [];
+        
+        // Same split rule as mergeSort: [left...mid] and [mid+1...right]
+        const collect = (left, right, depth) => {
+            segments.push({ left, right, depth });
+            if (left >= right) return;
+            const mid = Math.floor((left + right) / 2);
+            collect(left, mid, depth + 1);
+            collect(mid + 1, right, depth + 1);
+        };
+        collect(0, n - 1, 0);
+        
+        const levels = Math.max(...segments.map(segment => segment.depth)) + 1;
+        const rowHeight = Math.min(16, (height - 10) / levels);
+        const active = step.range ? { left: step.range[0], right: step.range[1], depth: step.depth } : null;
+        const merging = ['merge-start', 'compare', 'place'].includes(step.type);
+        
+        segments.forEach(segment => {
+            const isActive = active && segment.left === active.left && segment.right === active.right;
+            const isAncestor = active && !isActive && segment.left <= active.left && segment.right >= active.right;
+            const isInside = active && !isActive && segment.left >= active.left && segment.right <= active.right;
+            
+            // A segment is merged once everything left of the active range is done,
+            // or once the active range itself has started (children) or finished merging
+            const isMerged = step.type === 'complete' ||
+                (active && segment.right < active.left) ||
+                (merging && isInside) ||
+                (step.type === 'merge-complete' && (isActive || isInside));
+            
+            let color = COLORS.DEFAULT;
+            if (isActive) {
+                color = merging ? COLORS.COMPARING : step.type === 'merge-complete' ? COLORS.SORTED : COLORS.CURRENT;
+            } else if (isMerged) {
+                color = COLORS.SORTED;
+            }
+            
+            const x = segment.left * (barWidth + gap) + gap;
+            const width = (segment.right - segment.left + 1) * (barWidth + gap) - gap;
+            const y = top + 4 + segment.depth * rowHeight;
+            
+            this.ctx.globalAlpha = isActive ? 1 : isMerged ? 0.6 : 0.35;
+            this.ctx.fillStyle = color;
+            this.ctx.fillRect(x, y, width, rowHeight - 3);
+            this.ctx.globalAlpha = 1;
+            
+            if (isAncestor) {
+                this.ctx.strokeStyle = COLORS.CURRENT;
+                this.ctx.lineWidth = 1;
+                this.ctx.strokeRect(x, y, width, rowHeight - 3);
+            }
+        });
+        
+        if (active && step.mid !== undefined && step.type === 'divide') {
+            // Mark the split point on the active row
+            const splitX = (step.mid + 1) * (barWidth + gap);
+            const y = top + 4 + active.depth * rowHeight;
+            this.ctx.strokeStyle = '#e4e9f7';
+            this.ctx.lineWidth = 2;
+            this.ctx.beginPath();
+            this.ctx.moveTo(splitX, y - 2);
+            this.ctx.lineTo(splitX, y + rowHeight);
+            this.ctx.stroke();
+        }
+    }
+    
+    /**
+     * Draw Timsort's pending run stack beside the bars, top of the stack first,
+     * with the invariants on the top three runs A, B, C
+     * @param {Object} step - Step carrying `runStack` and optionally `mergingRuns`
+     * @param {number} top - Top of the drawing area
+     * @param {number} height - Height of the drawing area
+     */
+    drawRunStack(step, top, height) {
+        const x = this.plotWidth + 10;
+        const width = this.canvas.width - x - 8;
+        const runs = step.runStack;
+        const rowHeight = Math.min(26, (height - 90) / Math.max(1, runs.length));
+        
+        this.ctx.fillStyle = '#1e2749';
+        this.ctx.fillRect(x, top + 8, width, height - 16);
+        this.ctx.fillStyle = '#e4e9f7';
+        this.ctx.font = 'bold 12px monospace';
+        this.ctx.textAlign = 'left';
+        this.ctx.fillText(`Run stack (${runs.length})`, x + 8, top + 26);
+        
+        const names = ['C', 'B', 'A'];
+        for (let depth = 0; depth < runs.length; depth++) {
+            const index = runs.length - 1 - depth;
+            const run = runs[index];
+            const y = top + 36 + depth * rowHeight;
+            const merging = step.mergingRuns && step.mergingRuns.includes(index);
+            
+            this.ctx.fillStyle = merging ? COLORS.COMPARING : COLORS.DEFAULT;
+            this.ctx.globalAlpha = merging ? 1 : 0.6;
+            this.ctx.fillRect(x + 8, y, width - 16, rowHeight - 4);
+            this.ctx.globalAlpha = 1;
+            
+            this.ctx.fillStyle = '#e4e9f7';
+            this.ctx.font = `${Math.min(12, rowHeight - 8)}px monospace`;
+            this.ctx.fillText(`${names[depth] || ' '} [${run.base}…${run.base + run.len - 1}] len ${run.len}`, x + 14, y + rowHeight / 2 + 2);
+        }
+        
+        // Invariant checks on the top of the stack
+        const len = depth => runs[runs.length - 1 - depth].len;
+        const checks = [];
+        if (runs.length >= 2) checks.push({ text: '|B| > |C|', ok: len(1) > len(0) });
+        if (runs.length >= 3) checks.push({ text: '|A| > |B|+|C|', ok: len(2) > len(1) + len(0) });
+        
+        this.ctx.font = '11px monospace';
+        checks.forEach((check, i) => {
+            this.ctx.fillStyle = check.ok ? COLORS.SORTED : COLORS.SWAPPING;
+            this.ctx.fillText(`${check.ok ? '✓' : '✗'} ${check.text}`, x + 8, top + height - 20 - i * 16);
+        });
+    }
+    
+    /**
+     * Draw auxiliary structures (count arrays, buckets, output arrays) stacked in rows
+     * @param {Array} auxiliary - Auxiliary structure descriptions
+     * @param {number} top - Top of the drawing area
+     * @param {number} height - Height of the drawing area
+     */
+    drawAuxiliary(auxiliary, top, height) {
+        const rowHeight = height / auxiliary.length;
+        
+        auxiliary.forEach((structure, row) => {
+            const rowTop = top + row * rowHeight;
+            
+            // Title
+            this.ctx.fillStyle = '#a0a8c5';
+            this.ctx.font = '12px sans-serif';
+            this.ctx.textAlign = 'left';
+            this.ctx.fillText(structure.title, 4, rowTop + 14);
+            
+            const area = { top: rowTop + 22, height: rowHeight - 40 };
+            
+            if (structure.type === 'buckets') {
+                this.drawBuckets(structure, area);
+            } else {
+                this.drawSlots(structure, area);
+            }
+        });
+    }
+    
+    /**
+     * Draw a count, output or buffer array as a row of small bars
+     * @param {Object} structure - { values, labels, active, consumed }
+     * @param {Object} area - { top, height }
+     */
+    drawSlots(structure, area) {
+        const values = structure.values;
+        const n = values.length;
+        if (n === 0) return;
+        
+        const slotWidth = this.canvas.width / n;
+        const maxValue = Math.max(1, ...values.filter(value => value !== null));
+        const bottom = area.top + area.height;
+        
+        values.forEach((value, i) => {
+            const x = i * slotWidth;
+            const color = i === structure.active ? COLORS.CURRENT : COLORS.DEFAULT;
+            
+            if (value === null) {
+                this.ctx.strokeStyle = '#2a3458';
+                this.ctx.lineWidth = 1;
+                this.ctx.strokeRect(x + 1, bottom - 4, Math.max(1, slotWidth - 2), 4);
+            } else {
+                const barHeight = Math.max(2, (value / maxValue) * (area.height - 14));
+                const spent = structure.fromEnd ? i >= n - structure.consumed : i < structure.consumed;
+                this.ctx.globalAlpha = structure.consumed !== undefined && spent ? 0.25 : 1;
+                this.ctx.fillStyle = color;
+                this.ctx.fillRect(x + 1, bottom - barHeight, Math.max(1, slotWidth - 2), barHeight);
+                
+                if (n <= 30) {
+                    this.ctx.fillStyle = '#e4e9f7';
+                    this.ctx.font = '10px monospace';
+                    this.ctx.textAlign = 'center';
+                    this.ctx.fillText(value, x + slotWidth / 2, bottom - barHeight - 3);
+                }
+                this.ctx.globalAlpha = 1;
+            }
+            
+            if (structure.labels && n <= 30) {
+                this.ctx.fillStyle = '#6b7599';
+                this.ctx.font = '10px monospace';
+                this.ctx.textAlign = 'center';
+                this.ctx.fillText(structure.labels[i], x + slotWidth / 2, bottom + 12);
+            }
+        });
+    }
+    
+    /**
+     * Draw buckets as columns of stacked value cells
+     * @param {Object} structure - { buckets, labels, active }
+     * @param {Object} area - { top, height }
+     */
+    drawBuckets(structure, area) {
+        const buckets = structure.buckets;
+        const count = buckets.length;
+        const bucketWidth = this.canvas.width / count;
+        const bottom = area.top + area.height;
+        const largest = Math.max(1, ...buckets.map(bucket => bucket.length));
+        const cellHeight = Math.min(16, area.height / largest);
+        
+        buckets.forEach((bucket, b) => {
+            const x = b * bucketWidth + 3;
+            const width = bucketWidth - 6;
+            const isActive = b === structure.active;
+            
+            // Bucket outline
+            this.ctx.strokeStyle = isActive ? COLORS.CURRENT : '#2a3458';
+            this.ctx.lineWidth = isActive ? 2 : 1;
+            this.ctx.strokeRect(x, area.top, width, area.height);
+            
+            // Stacked values, first in at the bottom
+            bucket.forEach((value, k) => {
+                const y = bottom - (k + 1) * cellHeight;
+                this.ctx.fillStyle = isActive && k === bucket.length - 1 ? COLORS.CURRENT : COLORS.DEFAULT;
+                this.ctx.fillRect(x + 2, y + 1, width - 4, cellHeight - 2);
+                
+                if (cellHeight >= 12 && width >= 24) {
+                    this.ctx.fillStyle = '#e4e9f7';
+                    this.ctx.font = '10px monospace';
+                    this.ctx.textAlign = 'center';
+                    this.ctx.fillText(value, x + width / 2, y + cellHeight - 4);
+                }
+            });
+            
+            this.ctx.fillStyle = '#6b7599';
+            this.ctx.font = '10px monospace';
+            this.ctx.textAlign = 'center';
+            this.ctx.fillText(structure.labels[b], x + width / 2, bottom + 12);
+        });
+    }
+    
+    /**
+     * Draw partition boundary markers
+     * @param {number[]} boundaries - Indices whose left edge is a boundary
+     * @param {number} barWidth - Width of a single bar
+     * @param {number} gap - Space between bars
+     * @param {number} top - Top of the drawing area
+     * @param {number} bottom - Bottom of the drawing area
+     */
+    drawBoundaries(boundaries, barWidth, gap, top, bottom) {
+        this.ctx.save();
+        this.ctx.strokeStyle = COLORS.PIVOT;
+        this.ctx.lineWidth = 2;
+        this.ctx.setLineDash([6, 4]);
+        
+        boundaries.forEach(index => {
+            const x = index * (barWidth + gap) + gap / 2;
+            this.ctx.beginPath();
+            this.ctx.moveTo(x, top + 10);
+            this.ctx.lineTo(x, bottom - 25);
+            this.ctx.stroke();
+        });
+        
+        this.ctx.restore();
     }
     
     /**
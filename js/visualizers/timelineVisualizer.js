@@ -0,0 +1,137 @@
+/**
+ * Timeline Visualizer
+ * Scrubbable step slider with a progress fill, a step counter and marks for notable steps
+ */
+
+import { TIMELINE_EVENTS } from '../utils/constants.js';
+
+// Marks are grouped into this many slots along the track, one element per slot and event type
+const MARK_SLOTS = 120;
+
+// Minimum time between rebuilding the marks while steps are still arriving
+const MARK_REFRESH_MS = 250;
+
+export class TimelineVisualizer {
+    /**
+     * @param {HTMLInputElement} slider - Range input spanning the steps
+     * @param {HTMLElement} marks - Layer over the track holding the event marks
+     * @param {HTMLElement} label - "Step k of N" counter
+     */
+    constructor(slider, marks, label) {
+        this.slider = slider;
+        this.marks = marks;
+        this.label = label;
+        this.steps = null;
+        this.scanned = 0; // Steps already checked for events
+        this.events = {}; // Step indices by event type
+        this.marksKey = '';
+        this.marksRenderedAt = 0;
+        this.onSeek = null; // Callback (index) when the user drags or clicks a mark
+        
+        this.slider.addEventListener('input', () => {
+            if (this.onSeek) this.onSeek(parseInt(this.slider.value));
+        });
+        
+        this.marks.addEventListener('click', (e) => {
+            const mark = e.target.closest('.timeline-mark');
+            if (mark && this.onSeek) this.onSeek(parseInt(mark.dataset.step));
+        });
+    }
+    
+    /**
+     * Show the playhead of a step log
+     * @param {StepLog} steps - Loaded steps
+     * @param {number} index - Current step index
+     * @param {number} progress - Playback progress (0-100)
+     */
+    render(steps, index, progress) {
+        if (steps !== this.steps) this.reset(steps);
+        this.scan();
+        
+        const total = steps.length;
+        const current = Math.max(0, index);
+        this.slider.max = Math.max(0, total - 1);
+        this.slider.value = current;
+        this.slider.disabled = total <= 1;
+        this.slider.style.setProperty('--progress', `${progress}%`);
+        
+        // Steps still being produced: the total is only a lower bound
+        const more = steps.finished ? '' : '+';
+        this.label.textContent = total > 0
+            ? `Step ${(current + 1).toLocaleString()} of ${total.toLocaleString()}${more}`
+            : 'No steps';
+        
+        this.renderMarks(total, steps.finished);
+    }
+    
+    /**
+     * Start tracking a new step log
+     * @param {StepLog} steps - Loaded steps
+     */
+    reset(steps) {
+        this.steps = steps;
+        this.scanned = 0;
+        this.events = {};
+        this.marksKey = '';
+        this.marksRenderedAt = 0;
+    }
+    
+    /**
+     * Record the events among steps produced since the last scan
+     */
+    scan() {
+        for (; this.scanned < this.steps.length; this.scanned++) {
+            const { type } = this.steps.peek(this.scanned);
+            if (!TIMELINE_EVENTS[type]) continue;
+            if (!this.events[type]) this.events[type] = [];
+            this.events[type].push(this.scanned);
+        }
+    }
+    
+    /**
+     * Rebuild the marks when the events or the track length changed. While steps
+     * are still arriving this happens at most every MARK_REFRESH_MS.
+     * @param {number} total - Steps on the track
+     * @param {boolean} finished - Whether the total is final
+     */
+    renderMarks(total, finished) {
+        const counts = Object.entries(this.events).map(([type, list]) => `${type}:${list.length}`).join();
+        const key = `${total}|${counts}`;
+        if (key === this.marksKey) return;
+        
+        const now = Date.now();
+        if (!finished && this.marksKey && now - this.marksRenderedAt < MARK_REFRESH_MS) return;
+        this.marksKey = key;
+        this.marksRenderedAt = now;
+        
+        this.marks.innerHTML = '';
+        const span = Math.max(1, total - 1);
+        
+        Object.entries(this.events).forEach(([type, indices]) => {
+            const { label, color } = TIMELINE_EVENTS[type];
+            const slots = new Map(); // slot -> { first, count }
+            
+            indices.forEach(step => {
+                const slot = Math.round((step / span) * (MARK_SLOTS - 1));
+                const entry = slots.get(slot);
+                if (entry) {
+                    entry.count++;
+                } else {
+                    slots.set(slot, { first: step, count: 1 });
+                }
+            });
+            
+            slots.forEach(({ first, count }) => {
+                const mark = document.createElement('button');
+                mark.className = 'timeline-mark';
+                mark.dataset.step = first;
+                mark.style.left = `${(first / span) * 100}%`;
+                mark.style.background = color;
+                mark.title = count > 1
+                    ? `${label} at step ${first + 1} (+${count - 1} more nearby)`
+                    : `${label} at step ${first + 1}`;
+                this.marks.appendChild(mark);
+            });
+        });
+    }
+}
@@ -5,6 +5,7 @@
 
 import { COLORS } from '../utils/constants.js';
 import { calculateTreePositions } from '../utils/helpers.js';
+import { Tween, lerp } from '../utils/tween.js';
 
 export class TreeVisualizer {
     constructor(canvas) {
@@ -12,6 +13,8 @@ export class TreeVisualizer {
         this.ctx = canvas.getContext('2d');
         this.tree = null;
         this.positions = null;
+        this.parents = new Map(); // Node ID -> parent node
+        this.tween = new Tween();
     }
     
     /**
@@ -19,9 +22,19 @@ export class TreeVisualizer {
      * @param {Object} tree - Binary tree root
      */
     initialize(tree) {
+        this.cancelTransition();
         this.tree = tree;
         this.resize();
         this.positions = calculateTreePositions(tree, this.canvas.width, this.canvas.height);
+        
+        this.parents = new Map();
+        const link = (node) => {
+            [node.left, node.right].filter(Boolean).forEach(child => {
+                this.parents.set(child.id, node);
+                link(child);
+            });
+        };
+        if (tree) link(tree);
     }
     
     /**
@@ -34,10 +47,83 @@ export class TreeVisualizer {
     }
     
     /**
-     * Render current step
+     * Render current step. A recurse or return step sends a highlight along the
+     * edge the call travels, down to the child or back up to the parent.
+     * @param {Object} step - Animation step
+     * @param {number} duration - Transition length in milliseconds, 0 to draw the step at once
+     */
+    render(step, duration = 0) {
+        const edge = duration > 0 ? this.findCallEdge(step) : null;
+        if (!edge) {
+            this.cancelTransition();
+            this.draw(step);
+            return;
+        }
+        
+        this.tween.start(duration, progress => {
+            this.draw(step);
+            if (progress < 1) this.drawTraveler(edge, progress);
+        });
+    }
+    
+    /**
+     * Stop a running transition, leaving the canvas to whoever draws next
+     */
+    cancelTransition() {
+        this.tween.cancel();
+    }
+    
+    /**
+     * Find the edge a call moves along on a step
+     * @param {Object} step - Animation step
+     * @returns {Object|null} { from, to } canvas positions, or null when the step moves along no edge
+     */
+    findCallEdge(step) {
+        if (!step || !step.node || !this.positions) return null;
+        
+        let target = null;
+        if (step.type === 'recurse') {
+            target = step.direction === 'left' ? step.node.left : step.node.right;
+        } else if (step.type === 'return') {
+            target = this.parents.get(step.node.id);
+        }
+        if (!target) return null;
+        
+        return { from: this.positions.get(step.node.id), to: this.positions.get(target.id) };
+    }
+    
+    /**
+     * Draw the part of an edge covered so far and a glowing marker at its head
+     * @param {Object} edge - { from, to } canvas positions
+     * @param {number} progress - Distance covered (0-1)
+     */
+    drawTraveler(edge, progress) {
+        const { from, to } = edge;
+        const x = lerp(from.x, to.x, progress);
+        const y = lerp(from.y, to.y, progress);
+        
+        this.ctx.beginPath();
+        this.ctx.moveTo(from.x, from.y);
+        this.ctx.lineTo(x, y);
+        this.ctx.strokeStyle = COLORS.COMPARING;
+        this.ctx.lineWidth = 4;
+        this.ctx.stroke();
+        
+        this.ctx.save();
+        this.ctx.shadowColor = COLORS.COMPARING;
+        this.ctx.shadowBlur = 15;
+        this.ctx.beginPath();
+        this.ctx.arc(x, y, 8, 0, 2 * Math.PI);
+        this.ctx.fillStyle = COLORS.COMPARING;
+        this.ctx.fill();
+        this.ctx.restore();
+    }
+    
+    /**
+     * Draw a step
      * @param {Object} step - Animation step
      */
-    render(step) {
+    draw(step) {
         this.clear();
         if (!this.tree || !this.positions) return;
         
@@ -145,10 +231,9 @@ export class TreeVisualizer {
      * @param {number} y - Y position
      * @param {*} value - Node value
      * @param {string} color - Node color
+     * @param {number} radius - Node radius
      */
-    drawNode(x, y, value, color) {
-        const radius = 25;
-        
+    drawNode(x, y, value, color, radius = 25) {
         // Draw circle with gradient
         const gradient = this.ctx.createRadialGradient(x, y, 0, x, y, radius);
         gradient.addColorStop(0, this.lightenColor(color, 30));
@@ -166,7 +251,7 @@ export class TreeVisualizer {
         
         // Draw value
         this.ctx.fillStyle = '#e4e9f7';
-        this.ctx.font = 'bold 16px monospace';
+        this.ctx.font = `bold ${Math.max(9, Math.round(radius * 0.64))}px monospace`;
         this.ctx.textAlign = 'center';
         this.ctx.textBaseline = 'middle';
         this.ctx.fillText(value, x, y);
@@ -0,0 +1,122 @@
+/**
+ * Step Worker
+ * Runs an algorithm's step generator off the main thread and streams every
+ * step back in batches until the job is done or the worker is terminated.
+ *
+ * Messages in:  { type: 'start' | 'measure', algorithm, args },
+ *               { type: 'case', algorithm, kind, size, options }
+ * Messages out: { type: 'start', channels, fields }, { type: 'batch', entries },
+ *               { type: 'done' }, { type: 'summary', stats, steps }, { type: 'case', input },
+ *               { type: 'error', message }
+ */
+
+import { STEP_GENERATORS } from '../algorithms/registry.js';
+import { reviveRecords } from '../utils/helpers.js';
+import { summarizeSteps } from '../utils/stepLog.js';
+import { buildCaseInput } from '../utils/caseInputs.js';
+
+// Steps per message
+const BATCH_SIZE = 500;
+
+let source = null;
+let batch = [];
+
+self.onmessage = ({ data: message }) => {
+    try {
+        switch (message.type) {
+            case 'start':
+                start(message.algorithm, reviveRecords(message.args));
+                break;
+            case 'measure':
+                measure(message.algorithm, reviveRecords(message.args));
+                break;
+            case 'case':
+                self.postMessage({ type: 'case', input: buildCaseInput(message.algorithm, message.kind, message.size, message.options) });
+                break;
+        }
+    } catch (error) {
+        source = null;
+        self.postMessage({ type: 'error', message: error.message });
+    }
+};
+
+/**
+ * Create the step generator of an algorithm
+ * @param {string} algorithmId - Algorithm ID
+ * @param {Array} args - Generator arguments
+ * @returns {Generator<StepLog>} Generator that has not run yet
+ */
+function create(algorithmId, args) {
+    const generator = STEP_GENERATORS[algorithmId];
+    if (!generator) throw new Error(`Unknown algorithm "${algorithmId}".`);
+    return generator(...args);
+}
+
+/**
+ * Create a generator and run it to its first step
+ * @param {string} algorithmId - Algorithm ID
+ * @param {Array} args - Generator arguments
+ * @returns {Object|null} { generator, log }, or null when it records no steps
+ */
+function begin(algorithmId, args) {
+    const generator = create(algorithmId, args);
+    const { value: log, done } = generator.next();
+    return done ? null : { generator, log };
+}
+
+/**
+ * Start streaming steps. The first step travels with a snapshot of the log's
+ * channels; every later step only with its operations.
+ * @param {string} algorithmId - Algorithm ID
+ * @param {Array} args - Generator arguments
+ */
+function start(algorithmId, args) {
+    const run = begin(algorithmId, args);
+    if (!run) {
+        self.postMessage({ type: 'done' });
+        return;
+    }
+    
+    const { generator, log } = run;
+    self.postMessage({ type: 'start', channels: log.keyframes[0].state, fields: log.entries[0].fields });
+    
+    // Later steps are handed over to the batch instead of being kept here
+    log.sink = entry => {
+        batch.push(entry);
+    };
+    source = generator;
+    pump();
+}
+
+/**
+ * Run the generator to the end, posting a batch whenever one fills up
+ */
+function pump() {
+    try {
+        while (source) {
+            if (source.next().done) source = null;
+            
+            if (batch.length >= BATCH_SIZE || (!source && batch.length > 0)) {
+                self.postMessage({ type: 'batch', entries: batch });
+                batch = [];
+            }
+        }
+    } catch (error) {
+        source = null;
+        batch = [];
+        self.postMessage({ type: 'error', message: error.message });
+        return;
+    }
+    
+    self.postMessage({ type: 'done' });
+}
+
+/**
+ * Run a generator to the end without keeping its steps and report the final counts
+ * @param {string} algorithmId - Algorithm ID
+ * @param {Array} args - Generator arguments
+ */
+function measure(algorithmId, args) {
+    const { stats, steps } = summarizeSteps(create(algorithmId, args));
+    self.postMessage({ type: 'summary', stats, steps });
+}